@@ -1,4 +1,4 @@
-import { getPeriod } from './period.js';
+import { detectTariff } from './period.js';
 
 /**
  * API CONNFIGURATION
@@ -20,7 +20,8 @@ const apiEndpoints = {
         distributors: baseUrl + '/api-private/api/get-distributors-with-supplies-v2',
         supplies: baseUrl + '/api-private/api/get-supplies-v2',
         contractDetail: baseUrl + '/api-private/api/get-contract-detail-v2',
-        consumptionData: baseUrl + '/api-private/api/get-consumption-data-v2'
+        consumptionData: baseUrl + '/api-private/api/get-consumption-data-v2',
+        maxPower: baseUrl + '/api-private/api/get-max-power-v2'
     },
 };
 
@@ -30,6 +31,131 @@ const apiEndpoints = {
  * ==============
  */
 
+/**
+ * Error for an API response that was not OK
+ * Carries the HTTP status, the response headers and the parsed body, so errors
+ * are classified by status instead of by searching the message. Network failures
+ * use status 0.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Response details
+   * @param {number} details.status - HTTP status code
+   * @param {string} details.statusText - HTTP status text
+   * @param {Object} details.headers - Response headers (lowercase names)
+   * @param {*} details.body - Parsed JSON body, or the raw text if it isn't JSON
+   * @param {string} details.endpoint - API endpoint URL
+   * @param {Date|null} details.retryAfter - When the server allows retrying; read from the headers by default
+   * @param {Object} options - Error options (cause)
+   */
+  constructor(message, details = {}, options = undefined) {
+    super(message, options);
+    this.name = 'ApiError';
+    this.status = details.status;
+    this.statusText = details.statusText || '';
+    this.headers = details.headers || {};
+    this.body = details.body ?? null;
+    this.endpoint = details.endpoint || '';
+    this.retryAfter = details.retryAfter !== undefined ? details.retryAfter : parseRetryAfter(this.headers);
+  }
+}
+
+/**
+ * Build an ApiError from a failed response
+ * @param {Response} response - Fetch response
+ * @param {string} endpoint - API endpoint URL
+ * @returns {Promise<ApiError>} - Error with status, headers and parsed body
+ */
+async function createApiError(response, endpoint) {
+  const errorText = await response.text().catch(() => 'No error details available');
+  let body = errorText;
+  try {
+    body = JSON.parse(errorText);
+  } catch {
+    // Keep the raw text; Datadis doesn't always answer with JSON
+  }
+
+  return new ApiError(
+    `API call failed: ${response.status} ${response.statusText} - ${errorText}`,
+    {
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers.entries()),
+      body,
+      endpoint
+    }
+  );
+}
+
+/**
+ * Read when a request may be retried from the response headers
+ * Understands Retry-After (seconds or HTTP date) and the RateLimit-Reset /
+ * X-RateLimit-Reset headers (seconds, or a Unix timestamp). Browsers only expose
+ * these headers when the server allows it, so this is often null.
+ * @param {Object} headers - Response headers (lowercase names)
+ * @param {Date} now - Reference date
+ * @returns {Date|null} - Time after which the request may be retried
+ */
+function parseRetryAfter(headers = {}, now = new Date()) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    if (/^\d+$/.test(retryAfter.trim())) {
+      return new Date(now.getTime() + Number(retryAfter) * 1000);
+    }
+    const date = new Date(retryAfter);
+    if (!isNaN(date)) return date;
+  }
+
+  const reset = headers['ratelimit-reset'] || headers['x-ratelimit-reset'];
+  if (reset && /^\d+$/.test(reset.trim())) {
+    const seconds = Number(reset);
+    // Large values are absolute Unix timestamps, small ones are seconds from now
+    return seconds > 1e9 ? new Date(seconds * 1000) : new Date(now.getTime() + seconds * 1000);
+  }
+
+  return null;
+}
+
+/**
+ * Find the ApiError behind an error, following its causes
+ * @param {Error} error - The error object
+ * @returns {ApiError|null} - The API error, if the failure came from a response
+ */
+function getApiError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof ApiError) return current;
+  }
+  return null;
+}
+
+/**
+ * Check whether an error comes from a rate limited response (429)
+ * @param {Error} error - The error object
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+  return getApiError(error)?.status === 429;
+}
+
+/**
+ * Check whether an error comes from a request that got no response
+ * @param {Error} error - The error object
+ * @returns {boolean}
+ */
+function isNetworkFailure(error) {
+  return getApiError(error)?.status === 0;
+}
+
+/**
+ * Check whether an error comes from an expired or invalid session (401)
+ * @param {Error} error - The error object
+ * @returns {boolean}
+ */
+function isAuthError(error) {
+  return getApiError(error)?.status === 401;
+}
+
 /**
  * Sends API calls with error handling
  * @param {string} endpoint - API endpoint URL
@@ -55,43 +181,68 @@ async function makeApiCall(endpoint, options = {}) {
       });
     }
     
-    try {
-      // Make the actual API call
-      const response = await fetch(url, {
-        method,
-        headers,
-        body: body ? JSON.stringify(body) : undefined
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => 'No error details available');
-        throw new Error(`API call failed: ${response.status} ${response.statusText} - ${errorText}`);
-      }
-      
-      // We treat the response as JSON regardless of the content-type because 
-      // the datadis API is not consistent in its use of content-type
-      const data = await response.json();
-      
-      return data;
-    } catch (error) {
-      console.error(`API call to ${endpoint} failed:`, error);
-      
-      // Use the error handler to handle the error
-      if (errorHandler) {
-        try {
-          return await errorHandler.handleError(error, endpoint, context);
-        } catch (handlerError) {
-          // If the error handler also throws, propagate that error
-          throw Error(
-            `Error handling API error: ${handlerError.message}`,
-            { cause: handlerError }
-          );
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Make the actual API call
+        const response = await fetch(url, {
+          method,
+          headers,
+          body: body ? JSON.stringify(body) : undefined
+        });
+        
+        if (!response.ok) {
+          throw await createApiError(response, endpoint);
+        }
+        
+        // We treat the response as JSON regardless of the content-type because 
+        // the datadis API is not consistent in its use of content-type
+        const data = await response.json();
+        
+        return data;
+      } catch (error) {
+        // Transient failures (5xx, network) are retried with backoff before giving up
+        if (errorHandler && errorHandler.shouldRetry(error, attempt)) {
+          // Wait at least as long as the server asked for
+          const retryAfterMs = error.retryAfter ? error.retryAfter.getTime() - Date.now() : 0;
+          const delay = Math.max(errorHandler.getRetryDelay(attempt), retryAfterMs);
+          console.warn(`API call to ${endpoint} failed, retrying in ${delay} ms (retry ${attempt + 1}/${errorHandler.maxRetries}):`, error.message);
+          await wait(delay);
+          continue;
         }
+        
+        // Let callers tell a request that already used up its retries
+        if (error instanceof Error) error.retries = attempt;
+        return handleApiCallError(error, endpoint, errorHandler, context);
+      }
+    }
+}
+
+/**
+ * Hand a failed API call over to the error handler
+ * @param {Error} error - The error object
+ * @param {string} endpoint - API endpoint URL
+ * @param {ApiErrorHandler|null} errorHandler - Error handler
+ * @param {Object} context - Additional context for error handling
+ * @returns {Promise<Object>} - Whatever the error handler resolves to
+ */
+async function handleApiCallError(error, endpoint, errorHandler, context) {
+    console.error(`API call to ${endpoint} failed:`, error);
+    
+    // Use the error handler to handle the error
+    if (errorHandler) {
+      try {
+        return await errorHandler.handleError(error, endpoint, context);
+      } catch (handlerError) {
+        // If the error handler also throws, propagate that error
+        throw Error(
+          `Error handling API error: ${handlerError.message}`,
+          { cause: handlerError }
+        );
       }
-      
-      // If no error handler or the handler didn't handle it, rethrow
-      throw error;
     }
+    
+    // If no error handler or the handler didn't handle it, rethrow
+    throw error;
 }
 
 /**
@@ -122,7 +273,10 @@ async function authorizeApiCall(username, password) {
       'Content-Type': 'application/json',
     },
   });
-  if (!response.ok) throw new Error('Login failed');
+  if (!response.ok) {
+    const error = await createApiError(response, endpoint);
+    throw new ApiError(`Login failed: ${error.message}`, error, { cause: error });
+  }
   
   const data = await response.text();
   return "Bearer " + data;
@@ -142,6 +296,7 @@ function checkAuth() {
 function logout() {
   sessionStorage.removeItem('isLoggedIn');
   sessionStorage.removeItem('username');
+  sessionStorage.removeItem('authorizedNif');
   window.location.reload();
 }
 
@@ -153,15 +308,19 @@ function logout() {
 /**
  * Get distributors with supplies
  * @param {string} authToken - Authorization token
+ * @param {string|null} authorizedNif - NIF that authorized the user; null for the user's own supplies
  * @returns {Promise<Array>} - List of distributor codes
  */
-async function getDistributorsWithSupplies(authToken) {
+async function getDistributorsWithSupplies(authToken, authorizedNif = null) {
   const result = await makeApiCall(
     apiEndpoints.api.distributors,
     {
       headers: {
         'Authorization': authToken,
         'Accept': 'application/json'
+      },
+      params: {
+        authorizedNif
       }
     }
   );
@@ -171,11 +330,13 @@ async function getDistributorsWithSupplies(authToken) {
 
 /**
  * Get supplies data for a distributor
+ * Supplies of an authorized NIF carry it as `authorizedNif`, so later calls can pass it on.
  * @param {string} authToken - Authorization token
  * @param {string} distributorCode - Distributor code
- * @returns {Promise<Array>} - Supplies data (0..N entries)
+ * @param {string|null} authorizedNif - NIF that authorized the user; null for the user's own supplies
+ * @returns {Promise<Object>} - Supplies (0..N entries) and the distributors that failed ({ supplies, distributorErrors })
  */
-async function getSuppliesData(authToken, distributorCode) {
+async function getSuppliesData(authToken, distributorCode, authorizedNif = null) {
 
   const result = await makeApiCall(
     apiEndpoints.api.supplies,
@@ -185,21 +346,27 @@ async function getSuppliesData(authToken, distributorCode) {
         'Content-Type': 'application/json'
       },
       params: {
-        distributorCode: distributorCode
+        distributorCode: distributorCode,
+        authorizedNif
       }
     }
   );
   
   const supplies = Array.isArray(result.supplies) ? result.supplies : [];
 
-  return supplies.map(supply => ({
-    ...supply,
-    addressInfo: [
-      supply.address,
-      [supply.postalCode, supply.municipality].filter(Boolean).join(' '),
-      supply.province
-    ].filter(Boolean).join(', ')
-  }));
+  return {
+    supplies: supplies.map(supply => ({
+      ...supply,
+      ...(authorizedNif ? { authorizedNif } : {}),
+      addressInfo: [
+        supply.address,
+        [supply.postalCode, supply.municipality].filter(Boolean).join(' '),
+        supply.province
+      ].filter(Boolean).join(', ')
+    })),
+    // Distributors that failed to answer; their supplies are missing from the list
+    distributorErrors: getDistributorErrors(result)
+  };
 }
 
 /**
@@ -221,15 +388,77 @@ function formatDate(date) {
     return `${year}/${month}`;
 }
 
+/**
+ * Pick the contract in force from the entries Datadis returns for a supply
+ * That is the one without an end date, or else the one that started last.
+ * @param {Array<Object>} contracts - Contract entries
+ * @returns {Object|null} - Current contract
+ */
+function getCurrentContract(contracts) {
+  const byStartDate = [...contracts].sort((a, b) =>
+    String(b.startDate || '').replaceAll('-', '/').localeCompare(String(a.startDate || '').replaceAll('-', '/'))
+  );
+  return byStartDate.find(contract => !contract.endDate) || byStartDate[0] || null;
+}
+
+/**
+ * Extract the per-distributor errors Datadis reports next to the data
+ * A response can be successful overall while some distributors failed, e.g.
+ * "La distribuidora no puede facilitar información a ese NIF".
+ * @param {Object} result - API response
+ * @returns {Array<Object>} - Errors with distributorCode, distributorName, errorCode and errorDescription
+ */
+function getDistributorErrors(result) {
+  const errors = Array.isArray(result?.distributorError) ? result.distributorError : [];
+  return errors.map(error => ({
+    distributorCode: String(error.distributorCode ?? ''),
+    distributorName: error.distributorName || '',
+    errorCode: String(error.errorCode ?? ''),
+    errorDescription: error.errorDescription || ''
+  }));
+}
+
+/**
+ * Split a month range into consecutive chunks
+ * @param {Date} startDate - First month of the range
+ * @param {Date} endDate - Last month of the range (inclusive)
+ * @param {number} chunkMonths - Months per chunk
+ * @returns {Array<Object>} - Chunks with startDate and endDate (first day of each month)
+ */
+function splitMonthRange(startDate, endDate, chunkMonths = 1) {
+  const size = Math.max(1, Math.floor(chunkMonths));
+  const last = new Date(endDate.getFullYear(), endDate.getMonth(), 1);
+  const chunks = [];
+
+  let current = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+  while (current <= last) {
+    const chunkEnd = new Date(current.getFullYear(), current.getMonth() + size - 1, 1);
+    chunks.push({ startDate: current, endDate: chunkEnd < last ? chunkEnd : last });
+    current = new Date(current.getFullYear(), current.getMonth() + size, 1);
+  }
+
+  return chunks;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
  * Get contract detail 
  * @param {string} authToken - Authorization token
  * @param {string} cups - CUPS identifier
  * @param {string} distributorCode - Distributor code
  * @param {string} addressInfo - Address information
+ * @param {string|null} authorizedNif - NIF that authorized the user; null for the user's own supplies
  * @returns {Promise<Object>} - Supplies data
  */
-async function getContractDetail(authToken, cups, distributorCode, addressInfo = null) {
+async function getContractDetail(authToken, cups, distributorCode, addressInfo = null, authorizedNif = null) {
     try {
       const result = await makeApiCall(
         apiEndpoints.api.contractDetail,
@@ -240,22 +469,32 @@ async function getContractDetail(authToken, cups, distributorCode, addressInfo =
           },
           params: {
               cups,
-              distributorCode
+              distributorCode,
+              authorizedNif
           },
           context: { cups, addressInfo }
         }
       );
 
-      const contract = result.contract;
-      const p1 = contract[0]?.contractedPowerkW[0] || '';
-      const p2 = contract[0]?.contractedPowerkW[1] || '';
+      const contracts = Array.isArray(result.contract) ? result.contract : [];
+      const contract = getCurrentContract(contracts);
+      const contractedPowerkW = Array.isArray(contract?.contractedPowerkW) ? contract.contractedPowerkW : [];
+      const p1 = contractedPowerkW[0] || '';
+      const p2 = contractedPowerkW[1] || '';
       
       // Include the CUPS and addressInfo in the returned data
       return { 
         p1, 
         p2,
+        contractedPowerkW, // All contracted power periods (up to 6 for 3.0TD)
+        codeFare: contract?.codeFare || '',
+        accessFare: contract?.accessFare || '',
+        tariff: detectTariff(contract),
         cups, // Add CUPS to contract data
-        addressInfo // Add address info to contract data
+        addressInfo, // Add address info to contract data
+        contract, // Full contract as sent by Datadis (marketer, tension, dates...)
+        contracts, // Every contract entry, one per change of power, marketer...
+        distributorErrors: getDistributorErrors(result)
       };
     } catch (error) {
       // Just rethrow errors for the UI layer to handle
@@ -276,9 +515,10 @@ async function getContractDetail(authToken, cups, distributorCode, addressInfo =
  * @param {string} measurementType - Measurement type
  * @param {string} pointType - Point type
  * @param {string} addressInfo - Address information
+ * @param {string|null} authorizedNif - NIF that authorized the user; null for the user's own supplies
  * @returns {Promise<Array>} - Consumption data
  */
-async function getConsumptionData(authToken, cups, distributorCode, startDate, endDate, measurementType, pointType, addressInfo = null) {
+async function getConsumptionData(authToken, cups, distributorCode, startDate, endDate, measurementType, pointType, addressInfo = null, authorizedNif = null) {
   const formattedStartDate = formatDate(startDate);
   const formattedEndDate = formatDate(endDate);
   
@@ -297,18 +537,15 @@ async function getConsumptionData(authToken, cups, distributorCode, startDate, e
           startDate: formattedStartDate,
           endDate: formattedEndDate,
           measurementType: measurementType,
-          pointType: pointType
+          pointType: pointType,
+          authorizedNif
         },
         context: { cups, addressInfo } // Pass context for error handling
       }
     );
     
-    // Process the timeCurve data from a regular API response
-    const timeCurve = result.timeCurve;
-      return timeCurve.map(entry => ({
-        ...entry,
-        period: getPeriod(entry.date, entry.time)
-      }));
+    // Periods are assigned later, once the contract tariff is known
+    return result.timeCurve;
   } catch (error) {
     // Just rethrow errors for the UI layer to handle
     throw new Error(
@@ -318,12 +555,236 @@ async function getConsumptionData(authToken, cups, distributorCode, startDate, e
   }
 }
 
+/**
+ * Get the maximum power demand (maxímetro) per month and power period
+ * Datadis reports the highest quarter-hour demand in W; it is returned in kW as maxPowerKW.
+ * @param {string} authToken - Authorization token
+ * @param {string} cups - CUPS identifier
+ * @param {string} distributorCode - Distributor code
+ * @param {Date} startDate - First month
+ * @param {Date} endDate - Last month
+ * @param {string} addressInfo - Address information
+ * @param {string|null} authorizedNif - NIF that authorized the user; null for the user's own supplies
+ * @returns {Promise<Array>} - Peaks with date, time, period and maxPowerKW
+ */
+async function getMaxPowerData(authToken, cups, distributorCode, startDate, endDate, addressInfo = null, authorizedNif = null) {
+  try {
+    const result = await makeApiCall(
+      apiEndpoints.api.maxPower,
+      {
+        headers: {
+          'Authorization': authToken,
+          'Content-Type': 'application/json'
+        },
+        params: {
+          cups,
+          distributorCode,
+          startDate: formatDate(startDate),
+          endDate: formatDate(endDate),
+          authorizedNif
+        },
+        context: { cups, addressInfo }
+      }
+    );
+    
+    const peaks = Array.isArray(result.maxPower) ? result.maxPower : [];
+    return peaks
+      .filter(peak => peak && peak.date && Number.isFinite(Number(peak.maxPower)))
+      .map(peak => ({ ...peak, maxPowerKW: Number(peak.maxPower) / 1000 }));
+  } catch (error) {
+    // Just rethrow errors for the UI layer to handle
+    throw new Error(
+      `Error getting max power data: ${error.message}`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Get consumption data in chunks of months, merging the results
+ * Each chunk is a separate Datadis request, so long ranges don't time out.
+ * Failed chunks are retried on their own; chunks that already succeeded are kept.
+ * Requests that were already retried by makeApiCall are not retried again here.
+ * @param {string} authToken - Authorization token
+ * @param {string} cups - CUPS identifier
+ * @param {string} distributorCode - Distributor code
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @param {string} measurementType - Measurement type
+ * @param {string} pointType - Point type
+ * @param {string} addressInfo - Address information
+ * @param {Object} options - Chunking options
+ * @param {number} options.chunkMonths - Months per request (default: 1)
+ * @param {Array<Object>} options.chunks - Explicit chunks ({ startDate, endDate }) to fetch instead of the whole range
+ * @param {number} options.maxAttempts - Attempts per chunk before giving up (default: 3)
+ * @param {number} options.retryDelayMs - Base delay between attempts (default: 1000)
+ * @param {Function} options.onProgress - Called with { completed, total, chunk, data } after each chunk
+ * @param {string|null} options.authorizedNif - NIF that authorized the user; null for the user's own supplies
+ * @returns {Promise<Array>} - Consumption data for the whole range
+ * @throws {Error} - With `partialData` and `failedChunks` when some chunks could not be fetched
+ */
+async function getConsumptionDataInChunks(authToken, cups, distributorCode, startDate, endDate, measurementType, pointType, addressInfo = null, options = {}) {
+  const {
+    chunkMonths = 1,
+    maxAttempts = 3,
+    retryDelayMs = 1000,
+    onProgress = null,
+    authorizedNif = null
+  } = options;
+
+  const chunks = options.chunks || splitMonthRange(startDate, endDate, chunkMonths);
+  const results = new Map();
+  const errors = new Map();
+  // Chunks whose requests already used up their retries in makeApiCall
+  const givenUp = new Set();
+  let completed = 0;
+
+  const fetchChunk = async (chunk, index) => {
+    const data = await getConsumptionData(
+      authToken, cups, distributorCode, chunk.startDate, chunk.endDate,
+      measurementType, pointType, addressInfo, authorizedNif
+    );
+    const chunkData = Array.isArray(data) ? data : [];
+    results.set(index, chunkData);
+    errors.delete(index);
+    completed++;
+    if (onProgress) await onProgress({ completed, total: chunks.length, chunk, data: chunkData });
+  };
+
+  // Each round only asks for the chunks that are still missing
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const pending = chunks
+      .map((chunk, index) => ({ chunk, index }))
+      .filter(({ index }) => !results.has(index) && !givenUp.has(index));
+    if (pending.length === 0) break;
+
+    if (attempt > 1) {
+      console.warn(`Retrying ${pending.length} consumption chunk(s), attempt ${attempt}/${maxAttempts}`);
+      await wait(retryDelayMs * (attempt - 1));
+    }
+
+    for (const { chunk, index } of pending) {
+      try {
+        await fetchChunk(chunk, index);
+      } catch (error) {
+        // Retrying won't help with expired sessions or exhausted quotas
+        if (!isRetriableChunkError(error)) throw error;
+        console.warn(`Consumption chunk ${formatDate(chunk.startDate)} failed:`, error);
+        errors.set(index, error);
+        // Client errors won't go away, and retrying a request makeApiCall already
+        // retried would multiply its requests
+        if (!isTransientChunkError(error) || wasRetried(error)) givenUp.add(index);
+      }
+    }
+  }
+
+  const data = chunks.flatMap((_, index) => results.get(index) || []);
+
+  if (errors.size > 0) {
+    const failedChunks = [...errors.keys()].map(index => chunks[index]);
+    const failedMonths = failedChunks.map(chunk => formatDate(chunk.startDate)).join(', ');
+    const firstError = errors.values().next().value;
+    throw Object.assign(
+      new Error(`Error getting consumption data for ${failedMonths}: ${firstError.message}`, { cause: firstError }),
+      { partialData: data, failedChunks }
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Check whether a failed chunk is worth retrying
+ * @param {Error} error - The error object
+ * @returns {boolean} - False for authentication and rate limit errors
+ */
+function isRetriableChunkError(error) {
+  return !isAuthError(error) && !isRateLimitError(error);
+}
+
+/**
+ * Check whether a failed chunk may succeed in a later round
+ * Follows ApiErrorHandler: server and network errors are transient, other client errors are not.
+ * @param {Error} error - The error object
+ * @returns {boolean} - True if the chunk is worth asking for again
+ */
+function isTransientChunkError(error) {
+  const apiError = getApiError(error);
+  return !apiError || defaultErrorHandler.isTransientError(apiError);
+}
+
+/**
+ * Check whether makeApiCall already retried the request behind an error
+ * @param {Error} error - The error object
+ * @returns {boolean}
+ */
+function wasRetried(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.retries > 0) return true;
+  }
+  return false;
+}
+
 /**
  * API Error Handler - Handles all types of API errors consistently
  */
 class ApiErrorHandler {
   constructor(options = {}) {
-    this.maxRetries = options.maxRetries || 1;
+    // Retries after the first attempt, for 5xx and network errors only
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 15000;
+  }
+  
+  /**
+   * Decide whether a failed request is worth repeating
+   * Server errors (Datadis often answers 500/502/504 or "Error interno distribuidora")
+   * and network failures are transient; 401, 429 and other client errors are not.
+   * @param {Error} error - The error object
+   * @param {number} attempt - Retries already made
+   * @returns {boolean} - True if the request should be retried
+   */
+  shouldRetry(error, attempt) {
+    if (attempt >= this.maxRetries) return false;
+    // Don't keep the user waiting if the server asks for a long pause
+    if (error.retryAfter && error.retryAfter.getTime() - Date.now() > this.maxDelayMs) return false;
+    return this.isTransientError(error);
+  }
+  
+  /**
+   * Check whether an error is transient: a server error or a network failure
+   * @param {Error} error - The error object
+   * @returns {boolean} - False for client errors (4xx)
+   */
+  isTransientError(error) {
+    if (error.status) return error.status >= 500;
+    return this.isNetworkError(error);
+  }
+  
+  /**
+   * Delay before the next retry: exponential backoff with jitter
+   * Half of the delay is fixed and half random, so clients don't retry in lockstep.
+   * @param {number} attempt - Retries already made
+   * @param {Function} random - Random number generator in [0, 1)
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempt, random = Math.random) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(delay / 2 + random() * delay / 2);
+  }
+  
+  /**
+   * Check whether an error comes from the network rather than from Datadis
+   * fetch rejects with a TypeError ("Failed to fetch", "Load failed"...) when there is no response.
+   * @param {Error} error - The error object
+   * @returns {boolean} - True for network failures
+   */
+  isNetworkError(error) {
+    return !error.status && (
+      error.name === 'TypeError' ||
+      error.name === 'NetworkError' ||
+      /network/i.test(error.message || '')
+    );
   }
   
   /**
@@ -335,17 +796,17 @@ class ApiErrorHandler {
    */
   async handleError(error, endpoint, context = {}) {
     // Check for rate limit errors (429)
-    if (error.message && error.message.includes('429')) {
+    if (error.status === 429) {
       return this.handleRateLimitError(error, endpoint, context);
     }
     
     // Check for authentication errors (401)
-    if (error.message && error.message.includes('401')) {
+    if (error.status === 401) {
       return this.handleAuthError(error, endpoint, context);
     }
     
     // Check for network errors
-    if (error.name === 'NetworkError' || error.message.includes('network')) {
+    if (this.isNetworkError(error)) {
       return this.handleNetworkError(error, endpoint, context);
     }
     
@@ -365,10 +826,12 @@ class ApiErrorHandler {
       endpoint,
       context,
       message: error?.message || String(error),
+      retryAfter: error.retryAfter,
     });
     
-    // Rethrow with a clearer message for the UI layer to handle
-    throw new Error('Rate limit exceeded for the API. Please try again later.');
+    // Rethrow with a clearer message for the UI layer to handle, keeping the response details
+    const retryHint = error.retryAfter ? `after ${error.retryAfter.toISOString()}` : 'later';
+    throw new ApiError(`Rate limit exceeded for the API. Please try again ${retryHint}.`, error, { cause: error });
   }
   
   /**
@@ -390,7 +853,7 @@ class ApiErrorHandler {
     sessionStorage.removeItem('authToken');
     
     // Throw with a clearer message
-    throw new Error('Your authentication has expired. Please log in again.');
+    throw new ApiError('Your authentication has expired. Please log in again.', error, { cause: error });
   }
   
   /**
@@ -407,8 +870,9 @@ class ApiErrorHandler {
       message: error?.message || String(error),
     });
   
-    // Re-throw with context while preserving the original error
-    throw new Error(`Network error calling ${endpoint}`, { cause: error });
+    // Re-throw with context while preserving the original error.
+    // Status 0 means there was no response, as in XMLHttpRequest
+    throw new ApiError(`Network error calling ${endpoint}`, { status: 0, endpoint }, { cause: error });
   }
 }
 
@@ -422,6 +886,17 @@ export {
     getSuppliesData,
     getContractDetail,
     getConsumptionData,
+    getConsumptionDataInChunks,
+    getMaxPowerData,
+    splitMonthRange,
+    ApiError,
+    ApiErrorHandler,
+    defaultErrorHandler,
+    getApiError,
+    isRateLimitError,
+    isAuthError,
+    isNetworkFailure,
+    parseRetryAfter,
     checkAuth,
     logout,
     formatDate
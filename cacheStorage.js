@@ -0,0 +1,234 @@
+// Persistent storage for cached API responses
+
+/**
+ * STORAGE BACKENDS
+ * ================
+ */
+
+const DB_NAME = 'tus-consumos-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// Cache entries written to localStorage before the move to IndexedDB
+const MIGRATED_KEY_PREFIXES = ['consumption_data_', 'contract_detail_'];
+
+// Consumption keys: cups, first month, last month and curve (measurement and point type).
+// Older versions cached whole ranges; now each month has its own key, with the same first and last month.
+const CONSUMPTION_KEY_PATTERN = /^consumption_data_([^_]+)_(\d{4}\/\d{2})_(\d{4}\/\d{2})_(.*)$/;
+
+// The store is opened once and shared by every cache call
+let cacheStorePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} - The request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the cache database, creating the object store on first use
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        request.result.createObjectStore(STORE_NAME);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Cache database is blocked by another tab'));
+  });
+}
+
+/**
+ * Create a cache store backed by IndexedDB
+ * Entries are stored as structured objects, so there is no JSON round trip.
+ * @param {IDBDatabase} db - Open database
+ * @returns {Object} - Store with get, set, remove and entries methods
+ */
+export function createIndexedDbStore(db) {
+  const run = (mode, operation) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const result = operation(transaction.objectStore(STORE_NAME));
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    async get(key) {
+      const request = await run('readonly', store => store.get(key));
+      return request.result ?? null;
+    },
+    async set(key, item) {
+      await run('readwrite', store => store.put(item, key));
+    },
+    async remove(key) {
+      await run('readwrite', store => store.delete(key));
+    },
+    async entries() {
+      const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+      const [keys, items] = await Promise.all([
+        requestToPromise(store.getAllKeys()),
+        requestToPromise(store.getAll())
+      ]);
+      return keys.map((key, index) => ({ key, item: items[index] }));
+    }
+  };
+}
+
+/**
+ * Create a cache store backed by localStorage
+ * Only used when IndexedDB is not available (old browsers, some private modes).
+ * @returns {Object} - Store with get, set, remove and entries methods
+ */
+export function createLocalStorageStore() {
+  return {
+    async get(key) {
+      const item = localStorage.getItem(key);
+      return item ? JSON.parse(item) : null;
+    },
+    async set(key, item) {
+      localStorage.setItem(key, JSON.stringify(item));
+    },
+    async remove(key) {
+      localStorage.removeItem(key);
+    },
+    async entries() {
+      const entries = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        try {
+          const item = JSON.parse(localStorage.getItem(key));
+          // Preferences are plain values; cache entries carry a timestamp
+          if (item && item.timestamp) {
+            entries.push({ key, item });
+          }
+        } catch {
+          // Skip non-JSON items
+        }
+      }
+      return entries;
+    }
+  };
+}
+
+/**
+ * MIGRATION
+ * =========
+ */
+
+/**
+ * Split a whole-range consumption entry into one entry per month
+ * Only monthly entries are read back, so a range left as it is would just take up space.
+ * @param {string} key - Cache key
+ * @param {Object} item - Cache entry
+ * @returns {Array<Array>} - [key, item] pairs; the entry itself if it is not a whole-range consumption entry
+ */
+function splitConsumptionRange(key, item) {
+  const match = key.match(CONSUMPTION_KEY_PATTERN);
+  if (!match || match[2] === match[3] || !Array.isArray(item.data)) return [[key, item]];
+
+  const [, cups, firstMonth, lastMonth, curve] = match;
+  const readingsByMonth = new Map();
+  item.data.forEach(reading => {
+    const month = String(reading.date).slice(0, 7);
+    if (month < firstMonth || month > lastMonth) return;
+    if (!readingsByMonth.has(month)) readingsByMonth.set(month, []);
+    readingsByMonth.get(month).push(reading);
+  });
+
+  return [...readingsByMonth].map(([month, readings]) => [
+    `consumption_data_${cups}_${month}_${month}_${curve}`,
+    { ...item, data: readings }
+  ]);
+}
+
+/**
+ * Move cache entries left in localStorage by older versions into a store
+ * Entries are removed from localStorage once copied, so this only does work once.
+ * Whole-range consumption entries are split into monthly entries; where two entries
+ * cover the same month, the most recent one is kept.
+ * @param {Object} store - Destination cache store
+ * @param {Storage} storage - Source storage (default: localStorage)
+ * @returns {Promise<number>} - Number of migrated entries
+ */
+export async function migrateLocalStorageEntries(store, storage = localStorage) {
+  const keys = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (MIGRATED_KEY_PREFIXES.some(prefix => key.startsWith(prefix))) {
+      keys.push(key);
+    }
+  }
+
+  const entries = new Map();
+  const readKeys = [];
+  let migrated = 0;
+  for (const key of keys) {
+    try {
+      const item = JSON.parse(storage.getItem(key));
+      if (item && item.data !== undefined && item.timestamp) {
+        splitConsumptionRange(key, item).forEach(([entryKey, entry]) => {
+          if (!(entries.get(entryKey)?.timestamp > entry.timestamp)) entries.set(entryKey, entry);
+        });
+        migrated++;
+      }
+    } catch (error) {
+      console.warn(`Failed to migrate cache entry ${key}:`, error);
+      continue;
+    }
+    readKeys.push(key);
+  }
+
+  for (const [key, item] of entries) {
+    await store.set(key, item);
+  }
+  readKeys.forEach(key => storage.removeItem(key));
+
+  if (migrated > 0) {
+    console.log(`Migrated ${migrated} cache entries from localStorage to IndexedDB`);
+  }
+  return migrated;
+}
+
+/**
+ * STORE ACCESS
+ * ============
+ */
+
+/**
+ * Get the cache store, opening IndexedDB and migrating old entries on first use
+ * Falls back to localStorage if IndexedDB can't be opened.
+ * @returns {Promise<Object>} - Cache store
+ */
+export function getCacheStore() {
+  if (!cacheStorePromise) {
+    cacheStorePromise = (async () => {
+      if (typeof indexedDB === 'undefined') {
+        return createLocalStorageStore();
+      }
+
+      try {
+        const store = createIndexedDbStore(await openDatabase());
+        await migrateLocalStorageEntries(store);
+        return store;
+      } catch (error) {
+        console.warn('IndexedDB is not available, caching in localStorage instead:', error);
+        return createLocalStorageStore();
+      }
+    })();
+  }
+  return cacheStorePromise;
+}
@@ -0,0 +1,178 @@
+// Dependency-free SVG charts for the dashboard
+
+/**
+ * LAYOUT
+ * ======
+ */
+
+// Charts are drawn in a fixed coordinate system and scaled with the viewBox
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 260;
+const CHART_MARGIN = { top: 12, right: 12, bottom: 32, left: 56 };
+
+// At most this many category labels are written under the x axis
+const MAX_AXIS_LABELS = 16;
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Round a value up to a tidy axis limit (1, 2, 2.5, 5 or 10 times a power of ten)
+ * @param {number} value - Largest value to show
+ * @returns {number} - Axis limit, 1 if there is nothing to show
+ */
+export function getNiceMax(value) {
+  if (!(value > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= value);
+  return step * magnitude;
+}
+
+/**
+ * Get the drawing area of a chart
+ * @returns {Object} - { left, top, width, height, bottom }
+ */
+function getPlotArea() {
+  const width = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const height = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  return { left: CHART_MARGIN.left, top: CHART_MARGIN.top, width, height, bottom: CHART_MARGIN.top + height };
+}
+
+/**
+ * Render the y axis gridlines and the category labels
+ * @param {number} max - Axis limit
+ * @param {Array<string>} labels - Category labels, one per slot
+ * @param {Object} options - Axis options (unit, formatValue)
+ * @returns {string} - SVG markup
+ */
+function renderAxes(max, labels, options) {
+  const { unit = '', formatValue = value => String(value) } = options;
+  const area = getPlotArea();
+  const slotWidth = area.width / Math.max(labels.length, 1);
+  const labelStep = Math.ceil(labels.length / MAX_AXIS_LABELS);
+
+  const gridHTML = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+    const y = area.bottom - fraction * area.height;
+    return `
+      <line class="chart-grid" x1="${area.left}" x2="${area.left + area.width}" y1="${y}" y2="${y}"/>
+      <text class="chart-axis-label" x="${area.left - 6}" y="${y + 4}" text-anchor="end">${escapeXml(formatValue(max * fraction))}</text>`;
+  }).join('');
+
+  const labelsHTML = labels.map((label, index) => {
+    if (index % labelStep !== 0) return '';
+    const x = area.left + slotWidth * (index + 0.5);
+    return `<text class="chart-axis-label" x="${x}" y="${area.bottom + 18}" text-anchor="middle">${escapeXml(label)}</text>`;
+  }).join('');
+
+  const unitHTML = unit
+    ? `<text class="chart-axis-label" x="${area.left - 6}" y="${area.top - 2}" text-anchor="end">${escapeXml(unit)}</text>`
+    : '';
+
+  return gridHTML + labelsHTML + unitHTML;
+}
+
+/**
+ * Wrap chart content in an SVG element
+ * @param {string} content - SVG markup
+ * @param {string} title - Accessible description of the chart
+ * @returns {string} - SVG markup
+ */
+function wrapChart(content, title) {
+  return `
+    <svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeXml(title)}" preserveAspectRatio="xMidYMid meet">
+      ${content}
+    </svg>`;
+}
+
+/**
+ * CHARTS
+ * ======
+ */
+
+/**
+ * Render a stacked bar chart, with an optional second bar beside each stack
+ * Bars marked as selectable carry data-chart-index, so a click can be traced back to them.
+ * @param {Array<Object>} bars - Bars with label, title, segments ([{ value, className }]),
+ *   and optionally side ({ value, className }) and selectable
+ * @param {Object} options - Chart options
+ * @param {string} options.title - Accessible description of the chart
+ * @param {string} options.unit - Unit shown above the y axis
+ * @param {Function} options.formatValue - Format axis values
+ * @returns {string} - SVG markup
+ */
+export function renderStackedBarChart(bars, options = {}) {
+  const area = getPlotArea();
+  const totals = bars.map(bar => bar.segments.reduce((sum, segment) => sum + segment.value, 0));
+  const max = getNiceMax(Math.max(0, ...totals, ...bars.map(bar => bar.side?.value || 0)));
+  const scale = value => (Math.max(value, 0) / max) * area.height;
+  const slotWidth = area.width / Math.max(bars.length, 1);
+  const hasSide = bars.some(bar => bar.side);
+  const barWidth = slotWidth * (hasSide ? 0.45 : 0.7);
+
+  const barsHTML = bars.map((bar, index) => {
+    const x = area.left + slotWidth * index + (slotWidth - barWidth * (hasSide ? 2 : 1)) / 2;
+    let y = area.bottom;
+    const segmentsHTML = bar.segments.map(segment => {
+      const height = scale(segment.value);
+      y -= height;
+      return `<rect class="chart-bar ${segment.className}" x="${x}" y="${y}" width="${barWidth}" height="${height}"/>`;
+    }).join('');
+    const sideHTML = bar.side
+      ? `<rect class="chart-bar ${bar.side.className}" x="${x + barWidth}" y="${area.bottom - scale(bar.side.value)}" width="${barWidth}" height="${scale(bar.side.value)}"/>`
+      : '';
+    // A transparent hit area covers the whole slot, so small bars are easy to click
+    const selectable = bar.selectable ? ` chart-selectable" data-chart-index="${index}` : '';
+    return `
+      <g class="chart-slot${selectable}">
+        <title>${escapeXml(bar.title || bar.label)}</title>
+        <rect class="chart-hit-area" x="${area.left + slotWidth * index}" y="${area.top}" width="${slotWidth}" height="${area.height}"/>
+        ${segmentsHTML}${sideHTML}
+      </g>`;
+  }).join('');
+
+  return wrapChart(renderAxes(max, bars.map(bar => bar.label), options) + barsHTML, options.title || '');
+}
+
+/**
+ * Render a curve over shaded bands, e.g. the readings of a day over their periods
+ * @param {Array<Object>} points - Points with label, title, value, bandClassName and optionally sideValue
+ * @param {Object} options - Chart options
+ * @param {string} options.title - Accessible description of the chart
+ * @param {string} options.unit - Unit shown above the y axis
+ * @param {Function} options.formatValue - Format axis values
+ * @param {string} options.lineClassName - Class of the main curve
+ * @param {string} options.sideLineClassName - Class of the curve drawn from sideValue
+ * @returns {string} - SVG markup
+ */
+export function renderCurveChart(points, options = {}) {
+  const { lineClassName = 'chart-line', sideLineClassName = 'chart-line-side' } = options;
+  const area = getPlotArea();
+  const hasSide = points.some(point => point.sideValue > 0);
+  const max = getNiceMax(Math.max(0, ...points.map(point => Math.max(point.value, hasSide ? point.sideValue || 0 : 0))));
+  const slotWidth = area.width / Math.max(points.length, 1);
+  const getX = index => area.left + slotWidth * (index + 0.5);
+  const getY = value => area.bottom - (Math.max(value, 0) / max) * area.height;
+
+  const bandsHTML = points.map((point, index) => `
+      <g class="chart-slot">
+        <title>${escapeXml(point.title || point.label)}</title>
+        <rect class="chart-band ${point.bandClassName || ''}" x="${area.left + slotWidth * index}" y="${area.top}" width="${slotWidth}" height="${area.height}"/>
+      </g>`).join('');
+
+  const toPath = getValue => points.map((point, index) => `${getX(index)},${getY(getValue(point))}`).join(' ');
+  const linesHTML = `
+      <polyline class="${lineClassName}" points="${toPath(point => point.value)}"/>
+      ${hasSide ? `<polyline class="${sideLineClassName}" points="${toPath(point => point.sideValue || 0)}"/>` : ''}`;
+
+  return wrapChart(bandsHTML + renderAxes(max, points.map(point => point.label), options) + linesHTML, options.title || '');
+}
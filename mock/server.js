@@ -15,6 +15,8 @@ const jsonServer = require('json-server');
 
 // Delay for all requests
 const DELAY = 500;   // 0.5 second delay
+// Seconds sent in the Retry-After header of 429 responses
+const RETRY_AFTER_SECONDS = 3600;
 const dataDir = 'data'
 
 // Route paths
@@ -23,26 +25,42 @@ const routes = {
     distributors: '/api-private/api/get-distributors-with-supplies-v2',
     supplies: '/api-private/api/get-supplies-v2',
     contract: '/api-private/api/get-contract-detail-v2',
-    consumption: '/api-private/api/get-consumption-data-v2'
+    consumption: '/api-private/api/get-consumption-data-v2',
+    maxPower: '/api-private/api/get-max-power-v2'
 };
 
-// Route status codes. Use status code: 200 (success), 401, 404, 429...
+// Route status codes. Use status code: 200 (success), 401, 404, 429, 500, 502, 504...
+// or 'network' to drop the connection without answering
 const routeConfig = {
   [routes.login]: 200,
   [routes.distributors]: 200,
   [routes.supplies]: 200,
   [routes.contract]: 200,
-  [routes.consumption]: 200 // 429
+  [routes.consumption]: 200, // 429
+  [routes.maxPower]: 200
 };
 
+// Transient failures: answer with `status` for the next `times` requests, then recover.
+// Useful to check the client's retries, e.g. { [routes.consumption]: { status: 502, times: 2 } }
+const routeFailures = {};
+
 // Error messages for each status code
 const responseMessages = {
     200: { message: 'Success' },
     401: { error: 'Unauthorized', status: 401 },
     404: { error: 'Resource not found', status: 404 },
-    429: { error: 'Too Many Requests', status: 429 }
+    429: { error: 'Too Many Requests', status: 429 },
+    500: { error: 'Error interno distribuidora', status: 500 },
+    502: { error: 'Bad Gateway', status: 502 },
+    504: { error: 'Gateway Timeout', status: 504 }
 };
 
+// Route that changes the configuration while the server runs:
+//   /mock-config?route=consumption&status=502&times=2  (fail twice, then answer normally)
+//   /mock-config?route=consumption&status=429          (fail until changed)
+//   /mock-config/reset
+const configRoute = '/mock-config';
+
 /**
  * Server Configuration
  * ===================
@@ -76,13 +94,9 @@ Object.entries(routes).forEach(([routeName, route]) => {
   }
   
   function handleLoginResponse(req, res) {
-    // Check route configuration for status code
-    const statusCode = routeConfig[route];
-    
-    // Handle specific error responses
-    if (statusCode !== 200) {
-      // Return configured error response for any non-200 status code
-      return res.status(statusCode).json(responseMessages[statusCode]);
+    // Return the configured error response, if any
+    if (sendConfiguredError(route, req, res)) {
+      return;
     }
 
     // For login, read the JSON file but return only the token as plain text
@@ -106,13 +120,9 @@ Object.entries(routes).forEach(([routeName, route]) => {
   }
   
   function handleRouteResponse(req, res) {
-    // Check route configuration for status code
-    const statusCode = routeConfig[route];
-    
-    // Handle specific error responses
-    if (statusCode !== 200) {
-      // Return configured error response for any non-200 status code
-      return res.status(statusCode).json(responseMessages[statusCode]);
+    // Return the configured error response, if any
+    if (sendConfiguredError(route, req, res)) {
+      return;
     }
 
     // Default case: Handle success response (status 200)
@@ -134,15 +144,88 @@ Object.entries(routes).forEach(([routeName, route]) => {
   }
 });
 
+// Configuration routes
+server.get(configRoute, (req, res) => {
+  const route = routes[req.query.route];
+  const status = req.query.status === 'network' ? 'network' : Number(req.query.status);
+  if (!route || !isValidStatus(status)) {
+    return res.status(400).json({ error: 'Usage: ?route=<name>&status=<code|network>[&times=<n>]', routes: Object.keys(routes) });
+  }
+  
+  if (req.query.times) {
+    setRouteFailure(route, status, Number(req.query.times));
+  } else {
+    setRouteStatus(route, status);
+  }
+  return res.json({ routeConfig, routeFailures });
+});
+
+server.get(`${configRoute}/reset`, (req, res) => {
+  resetAllRoutes();
+  return res.json({ routeConfig, routeFailures });
+});
+
 /**
  * Helper Functions
  * ===============
  */
 
+/**
+ * Answer with the configured error for a route, if there is one
+ * Pending transient failures go first, then the route status.
+ * @param {string} route - The requested route
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {boolean} - True if an error was sent
+ */
+function sendConfiguredError(route, req, res) {
+  const failure = routeFailures[route];
+  if (failure && failure.times > 0) {
+    failure.times--;
+    sendError(failure.status, req, res);
+    return true;
+  }
+  
+  const statusCode = routeConfig[route];
+  if (statusCode !== 200) {
+    sendError(statusCode, req, res);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Send an error response, or drop the connection for 'network'
+ * @param {number|string} statusCode - HTTP status code or 'network'
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ */
+function sendError(statusCode, req, res) {
+  if (statusCode === 'network') {
+    req.socket.destroy();
+    return;
+  }
+  if (statusCode === 429) {
+    // Browsers only let the client read the header if it is exposed
+    res.setHeader('Retry-After', String(RETRY_AFTER_SECONDS));
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+  }
+  res.status(statusCode).json(responseMessages[statusCode]);
+}
+
+/**
+ * Check whether a status code can be configured
+ * @param {number|string} statusCode - HTTP status code or 'network'
+ * @returns {boolean} - True if the mock knows how to answer with it
+ */
+function isValidStatus(statusCode) {
+  return statusCode === 'network' || Object.keys(responseMessages).map(Number).includes(statusCode);
+}
+
 /**
  * Set response status for a specific route
  * @param {string} route - The route to configure
- * @param {number} statusCode - The HTTP status code (200, 404, or 429)
+ * @param {number|string} statusCode - The HTTP status code (see responseMessages) or 'network'
  */
 function setRouteStatus(route, statusCode) {
   if (!Object.values(routes).includes(route)) {
@@ -150,8 +233,8 @@ function setRouteStatus(route, statusCode) {
     return;
   }
   
-  if (![200, 404, 429].includes(statusCode)) {
-    console.error(`Invalid status code: ${statusCode}. Must be 200, 404, or 429`);
+  if (!isValidStatus(statusCode)) {
+    console.error(`Invalid status code: ${statusCode}. Must be one of ${Object.keys(responseMessages).join(', ')} or 'network'`);
     return;
   }
   
@@ -159,12 +242,29 @@ function setRouteStatus(route, statusCode) {
   console.log(`Set status ${statusCode} for route: ${route}`);
 }
 
+/**
+ * Make a route fail a number of times before answering normally again
+ * @param {string} route - The route to configure
+ * @param {number|string} statusCode - The HTTP status code (see responseMessages) or 'network'
+ * @param {number} times - Number of requests that fail
+ */
+function setRouteFailure(route, statusCode, times) {
+  if (!Object.values(routes).includes(route) || !isValidStatus(statusCode)) {
+    console.error(`Invalid failure for route ${route}: ${statusCode}`);
+    return;
+  }
+  
+  routeFailures[route] = { status: statusCode, times };
+  console.log(`Route ${route} will answer ${statusCode} ${times} time(s)`);
+}
+
 /**
  * Reset all routes to return normal responses (200)
  */
 function resetAllRoutes() {
   Object.values(routes).forEach(route => {
     routeConfig[route] = 200;
+    delete routeFailures[route];
   });
   console.log('Reset all routes to status 200');
 }
@@ -182,11 +282,15 @@ server.listen(PORT, () => {
   console.log(`Example: setRouteStatus(routes.supplies, 429)`);
   console.log('\nTo reset all routes to status 200:');
   console.log('resetAllRoutes()');
+  console.log('\nOr, while the server runs:');
+  console.log(`${configRoute}?route=consumption&status=502&times=2`);
+  console.log(`${configRoute}/reset`);
 });
 
 // Export helper functions and routes for external use
 export {
   setRouteStatus,
+  setRouteFailure,
   resetAllRoutes,
   routes,
   server
@@ -1,38 +1,775 @@
 // Period calculation shared module
 
+/**
+ * HOLIDAY CALENDAR
+ * ================
+ */
+
+// National holidays with a fixed date every year ("MM/DD")
 export const nationalFestivities = [
   "01/01",
   "01/06",
-  "03/29",
   "05/01",
   "08/15",
   "10/12",
   "11/01",
   "12/06",
+  "12/08",
   "12/25"
 ];
 
+// National holidays that move with Easter, as day offsets from Easter Sunday
+const nationalEasterOffsets = [
+  -2 // Good Friday (Viernes Santo)
+];
+
+// Holidays are computed once per year and reused
+const holidayCache = new Map();
+
+/**
+ * Compute Easter Sunday for a given year (Gregorian calendar, anonymous algorithm)
+ * @param {number} year - Full year (e.g. 2025)
+ * @returns {Date} - Easter Sunday at local midnight
+ */
+export function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Format a date as "MM/DD"
+ * @param {Date} date - Date to format
+ * @returns {string} - Month and day
+ */
+function formatMonthDay(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${month}/${day}`;
+}
+
+/**
+ * Get the national holidays for a year, fixed and Easter-based
+ * @param {number} year - Full year (e.g. 2025)
+ * @returns {Set<string>} - Holidays as "MM/DD" strings
+ */
+export function getNationalHolidays(year) {
+  if (holidayCache.has(year)) {
+    return holidayCache.get(year);
+  }
+
+  const easter = getEasterSunday(year);
+  const movable = nationalEasterOffsets.map(offset =>
+    formatMonthDay(new Date(year, easter.getMonth(), easter.getDate() + offset))
+  );
+
+  const holidays = new Set([...nationalFestivities, ...movable]);
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+/**
+ * Check whether a date is a national holiday
+ * @param {string} date - Date in format "YYYY/MM/DD"
+ * @returns {boolean} - True if the date is a national holiday
+ */
+export function isNationalHoliday(date) {
+  const [year, month, day] = date.split("/");
+  return getNationalHolidays(Number(year)).has(`${month}/${day}`);
+}
+
+/**
+ * REGIONAL HOLIDAYS
+ * =================
+ *
+ * Regulated tariffs only treat national holidays as off-peak, but some
+ * comparators and retailer tariffs also use the holidays of each autonomous
+ * community. Regional calendars change a little every year, so these are the
+ * recurring ones: fixed dates plus Easter-based days (Holy Thursday is -3,
+ * Easter Monday is +1).
+ */
+
+const communityHolidays = {
+  andalucia: { name: 'Andalucía', fixed: ['02/28'], easterOffsets: [-3] },
+  aragon: { name: 'Aragón', fixed: ['04/23'], easterOffsets: [-3] },
+  asturias: { name: 'Asturias', fixed: ['09/08'], easterOffsets: [-3] },
+  baleares: { name: 'Illes Balears', fixed: ['03/01', '12/26'], easterOffsets: [-3, 1] },
+  canarias: { name: 'Canarias', fixed: ['05/30'], easterOffsets: [-3] },
+  cantabria: { name: 'Cantabria', fixed: ['07/28', '09/15'], easterOffsets: [-3] },
+  castillaLaMancha: { name: 'Castilla-La Mancha', fixed: ['05/31'], easterOffsets: [-3] },
+  castillaYLeon: { name: 'Castilla y León', fixed: ['04/23'], easterOffsets: [-3] },
+  cataluna: { name: 'Cataluña', fixed: ['06/24', '09/11', '12/26'], easterOffsets: [1] },
+  ceuta: { name: 'Ceuta', fixed: ['09/02'], easterOffsets: [-3] },
+  extremadura: { name: 'Extremadura', fixed: ['09/08'], easterOffsets: [-3] },
+  galicia: { name: 'Galicia', fixed: ['05/17', '07/25'], easterOffsets: [-3] },
+  laRioja: { name: 'La Rioja', fixed: ['06/09'], easterOffsets: [-3] },
+  madrid: { name: 'Comunidad de Madrid', fixed: ['05/02'], easterOffsets: [-3] },
+  melilla: { name: 'Melilla', fixed: ['09/17'], easterOffsets: [-3] },
+  murcia: { name: 'Región de Murcia', fixed: ['06/09'], easterOffsets: [-3] },
+  navarra: { name: 'Navarra', fixed: ['12/03'], easterOffsets: [-3, 1] },
+  paisVasco: { name: 'País Vasco', fixed: [], easterOffsets: [-3, 1] },
+  valencia: { name: 'Comunitat Valenciana', fixed: ['03/19', '10/09'], easterOffsets: [1] }
+};
+
+// Province code (first two digits of the postal code) to autonomous community
+const provinceCodeToCommunityMap = {
+  '01': 'paisVasco', '02': 'castillaLaMancha', '03': 'valencia', '04': 'andalucia',
+  '05': 'castillaYLeon', '06': 'extremadura', '07': 'baleares', '08': 'cataluna',
+  '09': 'castillaYLeon', '10': 'extremadura', '11': 'andalucia', '12': 'valencia',
+  '13': 'castillaLaMancha', '14': 'andalucia', '15': 'galicia', '16': 'castillaLaMancha',
+  '17': 'cataluna', '18': 'andalucia', '19': 'castillaLaMancha', '20': 'paisVasco',
+  '21': 'andalucia', '22': 'aragon', '23': 'andalucia', '24': 'castillaYLeon',
+  '25': 'cataluna', '26': 'laRioja', '27': 'galicia', '28': 'madrid',
+  '29': 'andalucia', '30': 'murcia', '31': 'navarra', '32': 'galicia',
+  '33': 'asturias', '34': 'castillaYLeon', '35': 'canarias', '36': 'galicia',
+  '37': 'castillaYLeon', '38': 'canarias', '39': 'cantabria', '40': 'castillaYLeon',
+  '41': 'andalucia', '42': 'castillaYLeon', '43': 'cataluna', '44': 'aragon',
+  '45': 'castillaLaMancha', '46': 'valencia', '47': 'castillaYLeon', '48': 'paisVasco',
+  '49': 'castillaYLeon', '50': 'aragon', '51': 'ceuta', '52': 'melilla'
+};
+
+// Province names (Spanish and co-official spellings) used when the postal code is missing
+const provinceNameToCommunityMap = [
+  [/ALAVA|ARABA|GUIPUZCOA|GIPUZKOA|VIZCAYA|BIZKAIA/, 'paisVasco'],
+  [/ALBACETE|CIUDAD REAL|CUENCA|GUADALAJARA|TOLEDO/, 'castillaLaMancha'],
+  [/ALICANTE|ALACANT|CASTELLON|CASTELLO|VALENCIA/, 'valencia'],
+  [/ALMERIA|CADIZ|CORDOBA|GRANADA|HUELVA|JAEN|MALAGA|SEVILLA/, 'andalucia'],
+  [/AVILA|BURGOS|LEON|PALENCIA|SALAMANCA|SEGOVIA|SORIA|VALLADOLID|ZAMORA/, 'castillaYLeon'],
+  [/BADAJOZ|CACERES/, 'extremadura'],
+  [/BALEAR|MALLORCA|MENORCA|EIVISSA|IBIZA/, 'baleares'],
+  [/BARCELONA|GIRONA|GERONA|LLEIDA|LERIDA|TARRAGONA/, 'cataluna'],
+  [/CORUNA|LUGO|OURENSE|ORENSE|PONTEVEDRA/, 'galicia'],
+  [/HUESCA|TERUEL|ZARAGOZA/, 'aragon'],
+  [/RIOJA/, 'laRioja'],
+  [/MADRID/, 'madrid'],
+  [/MURCIA/, 'murcia'],
+  [/NAVARRA|NAFARROA/, 'navarra'],
+  [/ASTURIAS/, 'asturias'],
+  [/PALMAS|TENERIFE|CANARIAS/, 'canarias'],
+  [/CANTABRIA/, 'cantabria'],
+  [/CEUTA/, 'ceuta'],
+  [/MELILLA/, 'melilla']
+];
+
+const regionalHolidayCache = new Map();
+
+/**
+ * Work out the autonomous community of a supply from its postal code or province
+ * @param {Object} supply - Supply with postalCode and/or province
+ * @returns {string|null} - Community key (e.g. "cataluna"), or null if unknown
+ */
+export function detectCommunity(supply = {}) {
+  const postalCode = String(supply?.postalCode || '').trim();
+  if (/^\d{5}$/.test(postalCode) && provinceCodeToCommunityMap[postalCode.slice(0, 2)]) {
+    return provinceCodeToCommunityMap[postalCode.slice(0, 2)];
+  }
+
+  const province = normalizePlaceName(supply?.province);
+  if (!province) return null;
+  const match = provinceNameToCommunityMap.find(([pattern]) => pattern.test(province));
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the display name of an autonomous community
+ * @param {string} community - Community key
+ * @returns {string} - Community name in Spanish, or an empty string if unknown
+ */
+export function getCommunityName(community) {
+  return communityHolidays[community]?.name || '';
+}
+
+/**
+ * Get the regional holidays of an autonomous community for a year
+ * @param {string} community - Community key (e.g. "cataluna")
+ * @param {number} year - Full year (e.g. 2025)
+ * @returns {Set<string>} - Holidays as "MM/DD" strings (empty for unknown communities)
+ */
+export function getRegionalHolidays(community, year) {
+  const definition = communityHolidays[community];
+  if (!definition) return new Set();
+
+  const key = `${community} ${year}`;
+  if (!regionalHolidayCache.has(key)) {
+    const easter = getEasterSunday(year);
+    const movable = definition.easterOffsets.map(offset =>
+      formatMonthDay(new Date(year, easter.getMonth(), easter.getDate() + offset))
+    );
+    regionalHolidayCache.set(key, new Set([...definition.fixed, ...movable]));
+  }
+  return regionalHolidayCache.get(key);
+}
+
+/**
+ * Check whether a date is a regional holiday in an autonomous community
+ * @param {string} date - Date in format "YYYY/MM/DD"
+ * @param {string} community - Community key
+ * @returns {boolean} - True if the date is a regional holiday
+ */
+export function isRegionalHoliday(date, community) {
+  if (!community) return false;
+  const [year, month, day] = date.split("/");
+  return getRegionalHolidays(community, Number(year)).has(`${month}/${day}`);
+}
+
+/**
+ * REGIONS
+ * =======
+ */
+
+export const DEFAULT_REGION = 'peninsula';
+
+// Schedules are keyed by the local clock hour in which an interval starts
+// (0-23), e.g. the Datadis reading "11:00" covers 10:00-11:00 and starts at hour 10.
+
+// 2.0TD working-day schedule for the peninsula, Balearic and Canary Islands
 const hourToPeriodMap = {
-  0: 'P3', 1: 'P3', 2: 'P3', 3: 'P3', 4: 'P3', 5: 'P3', 6: 'P3', 7: 'P3', 8: 'P3',
-  9: 'P2', 10: 'P2',
+  0: 'P3', 1: 'P3', 2: 'P3', 3: 'P3', 4: 'P3', 5: 'P3', 6: 'P3', 7: 'P3',
+  8: 'P2', 9: 'P2',
+  10: 'P1', 11: 'P1', 12: 'P1', 13: 'P1',
+  14: 'P2', 15: 'P2', 16: 'P2', 17: 'P2',
+  18: 'P1', 19: 'P1', 20: 'P1', 21: 'P1',
+  22: 'P2', 23: 'P2'
+};
+
+// 2.0TD working-day schedule for Ceuta and Melilla (Punta 11-15h and 19-23h)
+const ceutaMelillaHourToPeriodMap = {
+  0: 'P3', 1: 'P3', 2: 'P3', 3: 'P3', 4: 'P3', 5: 'P3', 6: 'P3', 7: 'P3',
+  8: 'P2', 9: 'P2', 10: 'P2',
   11: 'P1', 12: 'P1', 13: 'P1', 14: 'P1',
   15: 'P2', 16: 'P2', 17: 'P2', 18: 'P2',
   19: 'P1', 20: 'P1', 21: 'P1', 22: 'P1',
-  23: 'P2', 24: 'P2'
+  23: 'P2'
+};
+
+// 3.0TD: six energy periods. Working-day hours fall into a "primary" or
+// "secondary" band (or the night valley), and the season decides which
+// period each band maps to.
+const hourToBandMap = {
+  0: 'valley', 1: 'valley', 2: 'valley', 3: 'valley', 4: 'valley', 5: 'valley', 6: 'valley', 7: 'valley',
+  8: 'secondary',
+  9: 'primary', 10: 'primary', 11: 'primary', 12: 'primary', 13: 'primary',
+  14: 'secondary', 15: 'secondary', 16: 'secondary', 17: 'secondary',
+  18: 'primary', 19: 'primary', 20: 'primary', 21: 'primary',
+  22: 'secondary', 23: 'secondary'
+};
+
+// 3.0TD bands for Ceuta and Melilla, one hour later than the peninsula
+const ceutaMelillaHourToBandMap = {
+  0: 'valley', 1: 'valley', 2: 'valley', 3: 'valley', 4: 'valley', 5: 'valley', 6: 'valley', 7: 'valley',
+  8: 'secondary', 9: 'secondary',
+  10: 'primary', 11: 'primary', 12: 'primary', 13: 'primary', 14: 'primary',
+  15: 'secondary', 16: 'secondary', 17: 'secondary', 18: 'secondary',
+  19: 'primary', 20: 'primary', 21: 'primary', 22: 'primary',
+  23: 'secondary'
+};
+
+/**
+ * Build a month (1-12) to season map from month lists
+ * @param {Object} seasons - Month numbers per season
+ * @returns {Object} - Season per month
+ */
+function buildMonthToSeasonMap(seasons) {
+  const map = {};
+  Object.entries(seasons).forEach(([season, months]) => {
+    months.forEach(month => {
+      map[month] = season;
+    });
+  });
+  return map;
+}
+
+// Each electrical system has its own 3.0TD seasons. Hours are always local
+// time, so Canary Islands supplies use the peninsular hour tables on
+// Atlantic/Canary time (one hour behind the peninsula).
+const regionDefinitions = {
+  peninsula: {
+    name: 'Península',
+    timeZone: 'Europe/Madrid',
+    hourToPeriodMap,
+    hourToBandMap,
+    monthToSeasonMap: buildMonthToSeasonMap({
+      high: [1, 2, 7, 12], mediumHigh: [3, 11], medium: [6, 8, 9], low: [4, 5, 10]
+    })
+  },
+  baleares: {
+    name: 'Illes Balears',
+    timeZone: 'Europe/Madrid',
+    hourToPeriodMap,
+    hourToBandMap,
+    monthToSeasonMap: buildMonthToSeasonMap({
+      high: [6, 7, 8, 9], mediumHigh: [5, 10], medium: [1, 2, 3, 12], low: [4, 11]
+    })
+  },
+  canarias: {
+    name: 'Canarias',
+    timeZone: 'Atlantic/Canary',
+    hourToPeriodMap,
+    hourToBandMap,
+    monthToSeasonMap: buildMonthToSeasonMap({
+      high: [7, 8, 9, 10], mediumHigh: [11, 12], medium: [1, 2, 3], low: [4, 5, 6]
+    })
+  },
+  ceuta: {
+    name: 'Ceuta',
+    timeZone: 'Europe/Madrid',
+    hourToPeriodMap: ceutaMelillaHourToPeriodMap,
+    hourToBandMap: ceutaMelillaHourToBandMap,
+    monthToSeasonMap: buildMonthToSeasonMap({
+      high: [1, 2, 8, 9], mediumHigh: [7, 10], medium: [3, 11, 12], low: [4, 5, 6]
+    })
+  },
+  melilla: {
+    name: 'Melilla',
+    timeZone: 'Europe/Madrid',
+    hourToPeriodMap: ceutaMelillaHourToPeriodMap,
+    hourToBandMap: ceutaMelillaHourToBandMap,
+    monthToSeasonMap: buildMonthToSeasonMap({
+      high: [1, 7, 8, 9], mediumHigh: [2, 12], medium: [6, 10, 11], low: [3, 4, 5]
+    })
+  }
+};
+
+// Province codes (first two digits of the postal code) outside the peninsular system
+const provinceCodeToRegionMap = {
+  '07': 'baleares',
+  '35': 'canarias',
+  '38': 'canarias',
+  '51': 'ceuta',
+  '52': 'melilla'
+};
+
+// Province names as Datadis may return them, used when the postal code is missing
+const provinceNameToRegionMap = [
+  [/BALEAR|MALLORCA|MENORCA|EIVISSA|IBIZA/, 'baleares'],
+  [/PALMAS|TENERIFE|CANARIAS/, 'canarias'],
+  [/CEUTA/, 'ceuta'],
+  [/MELILLA/, 'melilla']
+];
+
+/**
+ * Normalize a place name for matching (uppercase, no accents)
+ * @param {string} value - Place name
+ * @returns {string} - Normalized name
+ */
+function normalizePlaceName(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .trim();
+}
+
+/**
+ * Get the region definition, falling back to the peninsula for unknown regions
+ * @param {string} region - Region key
+ * @returns {Object} - Region definition
+ */
+function getRegionDefinition(region) {
+  return regionDefinitions[region] || regionDefinitions[DEFAULT_REGION];
+}
+
+/**
+ * Work out the electrical system of a supply from its postal code or province
+ * @param {Object} supply - Supply with postalCode and/or province
+ * @returns {string} - Region key ("peninsula", "baleares", "canarias", "ceuta" or "melilla")
+ */
+export function detectRegion(supply = {}) {
+  const postalCode = String(supply?.postalCode || '').trim();
+  if (/^\d{5}$/.test(postalCode)) {
+    return provinceCodeToRegionMap[postalCode.slice(0, 2)] || DEFAULT_REGION;
+  }
+
+  const province = normalizePlaceName(supply?.province);
+  const match = provinceNameToRegionMap.find(([pattern]) => pattern.test(province));
+  return match ? match[1] : DEFAULT_REGION;
+}
+
+/**
+ * Get the display name of a region
+ * @param {string} region - Region key
+ * @returns {string} - Region name in Spanish
+ */
+export function getRegionName(region) {
+  return getRegionDefinition(region).name;
+}
+
+/**
+ * TARIFFS
+ * =======
+ */
+
+export const DEFAULT_TARIFF = '2.0TD';
+
+const seasonBandPeriods = {
+  high: { primary: 'P1', secondary: 'P2' },
+  mediumHigh: { primary: 'P2', secondary: 'P3' },
+  medium: { primary: 'P3', secondary: 'P4' },
+  low: { primary: 'P4', secondary: 'P5' }
 };
 
-export function getPeriod(date, time) {
-  const [, month, day] = date.split("/");
-  const monthDay = `${month}/${day}`;
-  if (nationalFestivities.includes(monthDay)) {
-    return 'P3';
+const tariffDefinitions = {
+  '2.0TD': {
+    periods: ['P1', 'P2', 'P3'],
+    offPeakPeriod: 'P3',
+    getWorkdayPeriod: (hour, month, region) => region.hourToPeriodMap[hour]
+  },
+  '3.0TD': {
+    periods: ['P1', 'P2', 'P3', 'P4', 'P5', 'P6'],
+    offPeakPeriod: 'P6',
+    getWorkdayPeriod: (hour, month, region) => {
+      const band = region.hourToBandMap[hour];
+      if (!band || band === 'valley') return 'P6';
+      return seasonBandPeriods[region.monthToSeasonMap[month]][band];
+    }
   }
-  const dayOfWeek = new Date(date).getDay();
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
-    return 'P3';
+};
+
+/**
+ * Get the tariff definition, falling back to 2.0TD for unknown tariffs
+ * @param {string} tariff - Tariff name ("2.0TD" or "3.0TD")
+ * @returns {Object} - Tariff definition
+ */
+function getTariffDefinition(tariff) {
+  return tariffDefinitions[tariff] || tariffDefinitions[DEFAULT_TARIFF];
+}
+
+/**
+ * Get the energy periods used by a tariff
+ * @param {string} tariff - Tariff name ("2.0TD" or "3.0TD")
+ * @returns {Array<string>} - Period names (e.g. ["P1", "P2", "P3"])
+ */
+export function getTariffPeriods(tariff = DEFAULT_TARIFF) {
+  return [...getTariffDefinition(tariff).periods];
+}
+
+/**
+ * Work out the access tariff from Datadis contract fields
+ * 6.xTD (high voltage) tariffs share the 3.0TD six-period schedule.
+ * @param {Object} contract - Contract with codeFare and/or accessFare
+ * @returns {string} - "2.0TD" or "3.0TD"
+ */
+export function detectTariff(contract = {}) {
+  const codeFare = String(contract?.codeFare || '').trim().toUpperCase();
+  if (/^2/.test(codeFare)) return '2.0TD';
+  if (/^[36]/.test(codeFare)) return '3.0TD';
+
+  const accessFare = String(contract?.accessFare || '').toUpperCase();
+  if (/[36]\.\d\s*TD/.test(accessFare) || /POTENCIA\s*>\s*15/.test(accessFare) || accessFare.includes('ALTA TENSION')) {
+    return '3.0TD';
   }
-  const hour = parseInt(time.split(':')[0], 10);
-  return hourToPeriodMap[hour] || 'P3';
+
+  return DEFAULT_TARIFF;
 }
 
+/**
+ * READING INTERVALS
+ * =================
+ *
+ * Datadis "time" values are hour-ending: "01:00" covers 00:00-01:00 and
+ * "24:00" covers 23:00-24:00 local time. On the spring DST day the reading
+ * for the skipped hour is missing (23 rows), and on the autumn DST day the
+ * repeated hour appears twice (25 rows). Some distributors number the hours
+ * of those days sequentially instead ("01:00" to "23:00" or "25:00").
+ */
+
+export const DEFAULT_TIME_ZONE = 'Europe/Madrid';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// Intl formatters are expensive to build, so keep one per time zone
+const zonedFormatters = new Map();
+
+// UTC offset per day, or null on days with a DST transition
+const dayOffsetCache = new Map();
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { year, month, day, hour, minute }
+ */
+function getZonedParts(timestamp, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  zonedFormatters.get(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Offset in minutes (e.g. 60 for CET, 120 for CEST)
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const { year, month, day, hour, minute } = getZonedParts(timestamp, timeZone);
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  return Math.round((wallAsUtc - Math.floor(timestamp / MINUTE_MS) * MINUTE_MS) / MINUTE_MS);
+}
+
+/**
+ * Get the UTC offset in force during a whole local day
+ * @param {string} date - Date in format "YYYY/MM/DD"
+ * @param {string} timeZone - IANA time zone
+ * @returns {number|null} - Offset in minutes, or null if the day has a DST transition
+ */
+function getConstantDayOffset(date, timeZone) {
+  const key = `${timeZone} ${date}`;
+  if (!dayOffsetCache.has(key)) {
+    const [year, month, day] = date.split('/').map(Number);
+    const midnightAsUtc = Date.UTC(year, month - 1, day);
+    const offsetBefore = getTimeZoneOffset(midnightAsUtc - DAY_MINUTES * MINUTE_MS / 2, timeZone);
+    const offsetAfter = getTimeZoneOffset(midnightAsUtc + DAY_MINUTES * MINUTE_MS * 3 / 2, timeZone);
+    dayOffsetCache.set(key, offsetBefore === offsetAfter ? offsetBefore : null);
+  }
+  return dayOffsetCache.get(key);
+}
+
+/**
+ * Convert a local wall-clock time to an instant
+ * Repeated wall times (autumn DST) pick the first or second pass with
+ * `occurrence`; skipped wall times (spring DST) move forward by the gap.
+ * @param {string} date - Date in format "YYYY/MM/DD"
+ * @param {number} minutes - Minutes since local midnight
+ * @param {string} timeZone - IANA time zone
+ * @param {number} occurrence - 0 for the first pass of a repeated time, 1 for the second
+ * @returns {number} - Milliseconds since epoch
+ */
+function zonedTimeToInstant(date, minutes, timeZone, occurrence = 0) {
+  const [year, month, day] = date.split('/').map(Number);
+  const wallAsUtc = Date.UTC(year, month - 1, day, 0, minutes);
+  const dayOffset = getConstantDayOffset(date, timeZone);
+  if (dayOffset !== null) {
+    return wallAsUtc - dayOffset * MINUTE_MS;
+  }
+
+  const offsetBefore = getTimeZoneOffset(wallAsUtc - DAY_MINUTES * MINUTE_MS / 2, timeZone);
+  const offsetAfter = getTimeZoneOffset(wallAsUtc + DAY_MINUTES * MINUTE_MS / 2, timeZone);
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => wallAsUtc - offset * MINUTE_MS)
+    .filter(timestamp => getTimeZoneOffset(timestamp, timeZone) === (wallAsUtc - timestamp) / MINUTE_MS)
+    .sort((a, b) => a - b);
 
+  if (candidates.length === 0) {
+    // Skipped wall time: read it with the offset in force before the jump
+    return wallAsUtc - offsetBefore * MINUTE_MS;
+  }
+  return candidates[Math.min(occurrence, candidates.length - 1)];
+}
+
+/**
+ * Get the local date and time of an instant
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { date: "YYYY/MM/DD", hour, minute }
+ */
+function getLocalDateTime(timestamp, timeZone) {
+  const { year, month, day, hour, minute } = getZonedParts(timestamp, timeZone);
+  return {
+    date: `${year}/${String(month).padStart(2, '0')}/${String(day).padStart(2, '0')}`,
+    hour,
+    minute
+  };
+}
+
+/**
+ * Parse a Datadis time label into minutes since midnight
+ * @param {string} time - Time in format "HH:MM" ("01:00" to "24:00", or "25:00")
+ * @returns {number} - Minutes since midnight
+ */
+function parseTimeLabel(time) {
+  const [hours, minutes = 0] = String(time).split(':').map(value => parseInt(value, 10));
+  return hours * 60 + (Number.isFinite(minutes) ? minutes : 0);
+}
+
+/**
+ * Get the number of minutes in a local day (1380 or 1500 on DST days)
+ * @param {string} date - Date in format "YYYY/MM/DD"
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Length of the day in minutes
+ */
+function getDayLength(date, timeZone) {
+  const start = zonedTimeToInstant(date, 0, timeZone);
+  const end = zonedTimeToInstant(date, DAY_MINUTES, timeZone);
+  return (end - start) / MINUTE_MS;
+}
+
+/**
+ * Resolve a Datadis reading to the real interval it covers
+ * @param {string} date - Date in format "YYYY/MM/DD"
+ * @param {string} time - Hour-ending time in format "HH:MM"
+ * @param {Object} options - Resolution options
+ * @param {number} options.intervalMinutes - Length of each reading (60 by default)
+ * @param {number} options.occurrence - 1 for the second reading with the same label on the autumn DST day
+ * @param {boolean} options.sequentialHours - Whether labels count elapsed hours since midnight
+ * @param {string} options.timeZone - IANA time zone (region time zone by default)
+ * @param {string} options.region - Electrical system, used for its time zone
+ * @returns {Object} - { start, end, localDate, localHour, localMinute }
+ */
+export function resolveReadingInterval(date, time, options = {}) {
+  const {
+    intervalMinutes = 60,
+    occurrence = 0,
+    sequentialHours = false
+  } = options;
+  const timeZone = options.timeZone || getRegionDefinition(options.region).timeZone;
+
+  // Hourly readings only carry the hour; any minutes in the label are ignored
+  let endMinutes = parseTimeLabel(time);
+  if (intervalMinutes >= 60) {
+    endMinutes = Math.floor(endMinutes / 60) * 60;
+  }
+  const startMinutes = Math.max(0, endMinutes - intervalMinutes);
+
+  const start = sequentialHours
+    ? zonedTimeToInstant(date, 0, timeZone) + startMinutes * MINUTE_MS
+    : zonedTimeToInstant(date, startMinutes, timeZone, occurrence);
+
+  // Outside DST days the local start is just the label minus the interval
+  const local = getConstantDayOffset(date, timeZone) !== null
+    ? { date, hour: Math.floor(startMinutes / 60), minute: startMinutes % 60 }
+    : getLocalDateTime(start, timeZone);
+
+  return {
+    start: new Date(start),
+    end: new Date(start + intervalMinutes * MINUTE_MS),
+    localDate: local.date,
+    localHour: local.hour,
+    localMinute: local.minute
+  };
+}
+
+/**
+ * Work out how each reading of a curve has to be resolved
+ * Marks the second pass of a repeated label on the autumn DST day, and the
+ * DST days whose hours are numbered sequentially.
+ * @param {Array<Object>} entries - Readings with date and time
+ * @param {Object} options - Resolution options (intervalMinutes, timeZone, region)
+ * @returns {Array<Object>} - Per-entry options: { occurrence, sequentialHours }
+ */
+export function getReadingResolutionOptions(entries, options = {}) {
+  const intervalMinutes = options.intervalMinutes || 60;
+  const timeZone = options.timeZone || getRegionDefinition(options.region).timeZone;
+  const labelCounts = new Map();
+  const sequentialDays = new Map();
+
+  const isSequentialDay = (date, dayEntries) => {
+    const dayLength = getDayLength(date, timeZone);
+    if (dayLength === DAY_MINUTES) return false;
+    if (dayLength > DAY_MINUTES) {
+      // Long day: labels past "24:00" only exist with sequential numbering
+      return dayEntries.some(entry => parseTimeLabel(entry.time) > DAY_MINUTES);
+    }
+    // Short day: readings run up to "23:00" and include one starting inside the skipped hour
+    const labels = dayEntries.map(entry => parseTimeLabel(entry.time));
+    if (Math.max(...labels) > dayLength) return false;
+    return labels.some(endMinutes => {
+      const startMinutes = endMinutes - intervalMinutes;
+      const { hour, minute } = getLocalDateTime(zonedTimeToInstant(date, startMinutes, timeZone), timeZone);
+      return hour * 60 + minute !== startMinutes;
+    });
+  };
+
+  const entriesByDate = new Map();
+  entries.forEach(entry => {
+    if (!entry?.date || !entry?.time) return;
+    if (!entriesByDate.has(entry.date)) entriesByDate.set(entry.date, []);
+    entriesByDate.get(entry.date).push(entry);
+  });
+  entriesByDate.forEach((dayEntries, date) => {
+    sequentialDays.set(date, isSequentialDay(date, dayEntries));
+  });
+
+  return entries.map(entry => {
+    if (!entry?.date || !entry?.time) {
+      return { occurrence: 0, sequentialHours: false };
+    }
+    const key = `${entry.date} ${entry.time}`;
+    const occurrence = labelCounts.get(key) || 0;
+    labelCounts.set(key, occurrence + 1);
+    return { occurrence, sequentialHours: sequentialDays.get(entry.date) };
+  });
+}
+
+/**
+ * PERIOD CLASSIFICATION
+ * =====================
+ */
+
+/**
+ * Check whether a whole day is off-peak: weekends and holidays
+ * @param {string} date - Date in format "YYYY/MM/DD"
+ * @param {Object} options - Calendar options
+ * @param {string|null} options.regionalHolidays - Community whose holidays are also off-peak (off by default)
+ * @returns {boolean} - True if the day has no peak hours
+ */
+export function isOffPeakDay(date, options = {}) {
+  if (isNationalHoliday(date) || isRegionalHoliday(date, options.regionalHolidays)) {
+    return true;
+  }
+  const [year, month, day] = date.split('/').map(Number);
+  const dayOfWeek = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return dayOfWeek === 0 || dayOfWeek === 6;
+}
+
+/**
+ * Get the energy period of a resolved reading interval
+ * @param {Object} interval - Interval from resolveReadingInterval
+ * @param {Object} options - Classification options (tariff, region, regionalHolidays)
+ * @returns {string} - Period name (P1..P3 for 2.0TD, P1..P6 for 3.0TD)
+ */
+export function getIntervalPeriod(interval, options = {}) {
+  const tariff = getTariffDefinition(options.tariff);
+  const region = getRegionDefinition(options.region);
+  const { localDate, localHour } = interval;
+
+  if (isOffPeakDay(localDate, options)) {
+    return tariff.offPeakPeriod;
+  }
+  const month = Number(localDate.split('/')[1]);
+  return tariff.getWorkdayPeriod(localHour, month, region) || tariff.offPeakPeriod;
+}
+
+/**
+ * Get the energy period of a Datadis reading
+ * @param {string} date - Date in format "YYYY/MM/DD"
+ * @param {string} time - Hour-ending time in format "HH:MM"
+ * @param {Object} options - Classification options
+ * @param {string} options.tariff - Tariff name ("2.0TD" by default)
+ * @param {string} options.region - Electrical system ("peninsula" by default)
+ * @param {string|null} options.regionalHolidays - Community whose holidays are also off-peak (off by default)
+ * @param {number} options.occurrence - See resolveReadingInterval
+ * @param {boolean} options.sequentialHours - See resolveReadingInterval
+ * @returns {string} - Period name (P1..P3 for 2.0TD, P1..P6 for 3.0TD)
+ */
+export function getPeriod(date, time, options = {}) {
+  return getIntervalPeriod(resolveReadingInterval(date, time, options), options);
+}
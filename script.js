@@ -1,5 +1,7 @@
-import { authorizeApiCall, getDistributorsWithSupplies, getSuppliesData, getContractDetail, getConsumptionData, checkAuth, logout, formatDate } from './apiCalls.js';
-import { getPeriod } from './period.js';
+import { authorizeApiCall, getDistributorsWithSupplies, getSuppliesData, getContractDetail, getConsumptionDataInChunks, getMaxPowerData, splitMonthRange, getApiError, isRateLimitError, isAuthError, isNetworkFailure, checkAuth, logout, formatDate } from './apiCalls.js';
+import { getCacheStore } from './cacheStorage.js';
+import { renderStackedBarChart, renderCurveChart } from './charts.js';
+import { getPeriod, getIntervalPeriod, resolveReadingInterval, getReadingResolutionOptions, getTariffPeriods, detectTariff, detectRegion, detectCommunity, getCommunityName, isOffPeakDay, DEFAULT_TARIFF } from './period.js';
 
 
 /**
@@ -9,11 +11,142 @@ import { getPeriod } from './period.js';
 
 // Date range configuration (in months)
 const CONFIG = {
-  // Number of months to look back from current date
+  // Number of months shown when the user has not picked a date range
   // Default: 12 (1 year)
-  monthsToFetch: 12
+  monthsToFetch: 12,
+  // Months requested per consumption call; long ranges are split so
+  // Datadis doesn't time out and a failed chunk can be retried on its own
+  consumptionChunkMonths: 1,
+  // Hours a complete past month stays cached; distributors occasionally
+  // correct readings afterwards, so it is not kept forever
+  completeMonthCacheHours: 24 * 90
 };
 
+// Friendly messages for the errorCode of Datadis' distributorError entries.
+// Unknown codes show the errorDescription sent by Datadis.
+const DISTRIBUTOR_ERROR_MESSAGES = {
+  '2': 'No puede facilitar información a tu NIF. Si tienes un suministro con esta distribuidora, comprueba que el contrato está a tu nombre.',
+  '10': 'Ha tenido un error interno y no ha devuelto datos. Suele ser temporal: vuelve a intentarlo más tarde.'
+};
+
+// Datadis measurement types for get-consumption-data-v2
+const MEASUREMENT_TYPES = {
+  hourly: 0,
+  quarterHourly: 1
+};
+
+// Standard contracted power levels (kW) for single-phase 230 V supplies, the ICP
+// ratings distributors offer. Only used for 2.0TD; higher peaks are rounded up to 0.1 kW
+const STANDARD_POWER_LEVELS_KW = [1.15, 1.725, 2.3, 3.45, 4.6, 5.75, 6.9, 8.05, 9.2, 10.35, 11.5, 14.49];
+
+// 3.0TD supplies contract more than this in at least one period (kW)
+const SIX_PERIOD_MIN_POWER_KW = 15;
+
+// Names some distributors use for the 2.0TD power periods in max power data
+const POWER_PERIOD_NAMES = { PUNTA: 'P1', LLANO: 'P1', VALLE: 'P2' };
+
+// Seasons of the load profile, by month number
+const SEASONS = [
+  { key: 'winter', label: 'Invierno', months: [12, 1, 2] },
+  { key: 'spring', label: 'Primavera', months: [3, 4, 5] },
+  { key: 'summer', label: 'Verano', months: [6, 7, 8] },
+  { key: 'autumn', label: 'Otoño', months: [9, 10, 11] }
+];
+
+// Added before the copy confirmations when the table shows simulated figures
+const SIMULATED_COPY_NOTE = 'Atención: son datos SIMULADOS por el simulador de desplazamiento de consumo, no tu consumo real.\n\n';
+
+// localStorage keys for user preferences
+const PREFERENCE_KEYS = {
+  regionalHolidays: 'preference_regional_holidays',
+  measurementType: 'preference_measurement_type',
+  dateRange: 'preference_date_range',
+  authorizedNifs: 'preference_authorized_nifs'
+};
+
+/**
+ * Read a user preference from localStorage
+ * @param {string} key - Preference key
+ * @param {*} defaultValue - Value used when the preference is not set
+ * @returns {*} Stored preference value
+ */
+function getPreference(key, defaultValue) {
+  try {
+    const value = localStorage.getItem(key);
+    return value === null ? defaultValue : JSON.parse(value);
+  } catch {
+    return defaultValue;
+  }
+}
+
+/**
+ * Store a user preference in localStorage
+ * @param {string} key - Preference key
+ * @param {*} value - Value to store
+ */
+function setPreference(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to store preference ${key}:`, error);
+  }
+}
+
+/**
+ * AUTHORIZED NIFS
+ * ===============
+ */
+
+// Check letters of DNI numbers, indexed by the number modulo 23
+const NIF_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+/**
+ * Normalize a NIF typed by the user (upper case, no spaces or dashes)
+ * @param {string} value - NIF as typed
+ * @returns {string} Normalized NIF
+ */
+function normalizeNif(value) {
+  return String(value || '').toUpperCase().replace(/[\s.-]/g, '');
+}
+
+/**
+ * Check whether a normalized value is a valid DNI, NIE or CIF
+ * DNI and NIE check letters are verified; CIFs are only checked for format.
+ * @param {string} nif - Normalized NIF
+ * @returns {boolean}
+ */
+function isValidNif(nif) {
+  const personMatch = nif.match(/^([XYZ]?)(\d{7,8})([A-Z])$/);
+  if (personMatch) {
+    const [, niePrefix, digits, letter] = personMatch;
+    // NIE prefixes stand for a leading digit: X=0, Y=1, Z=2
+    if (niePrefix ? digits.length !== 7 : digits.length !== 8) return false;
+    const number = Number((niePrefix ? 'XYZ'.indexOf(niePrefix) : '') + digits);
+    return NIF_LETTERS[number % 23] === letter;
+  }
+  return /^[ABCDEFGHJNPQRSUVW]\d{7}[0-9A-J]$/.test(nif);
+}
+
+/**
+ * Get the NIF whose supplies are being consulted in this session
+ * @returns {string|null} Authorized NIF, or null for the user's own supplies
+ */
+function getAuthorizedNif() {
+  return sessionStorage.getItem('authorizedNif') || null;
+}
+
+/**
+ * Set the NIF whose supplies are consulted in this session
+ * @param {string|null} nif - Authorized NIF, or null for the user's own supplies
+ */
+function setAuthorizedNif(nif) {
+  if (nif) {
+    sessionStorage.setItem('authorizedNif', nif);
+  } else {
+    sessionStorage.removeItem('authorizedNif');
+  }
+}
+
 /**
  * CORE BUSINESS LOGIC
  * ==================
@@ -26,12 +159,44 @@ const CONFIG = {
  * ========================
  */
 
+/**
+ * Get the length of each reading for a Datadis measurement type
+ * @param {number} measurementType - 0 (hourly) or 1 (quarter-hourly)
+ * @returns {number} Interval length in minutes
+ */
+function getIntervalMinutes(measurementType) {
+  return Number(measurementType) === MEASUREMENT_TYPES.quarterHourly ? 15 : 60;
+}
+
+/**
+ * Build period classification options for a supply
+ * @param {Object|null} contractDetails - Contract details with tariff information
+ * @param {Object|null} supply - Supply data with province and postalCode
+ * @param {Object} settings - User settings
+ * @param {boolean} settings.regionalHolidays - Whether the community holidays are also off-peak
+ * @param {number} settings.measurementType - 0 (hourly) or 1 (quarter-hourly)
+ * @returns {Object} Options for getPeriod
+ */
+function getPeriodOptions(contractDetails = null, supply = null, settings = {}) {
+  return {
+    tariff: contractDetails?.tariff || detectTariff(contractDetails || {}),
+    region: detectRegion(supply || {}),
+    regionalHolidays: settings.regionalHolidays ? detectCommunity(supply || {}) : null,
+    intervalMinutes: getIntervalMinutes(settings.measurementType)
+  };
+}
+
 /**
  * Enrich consumption data with period information
+ * Periods are always recomputed, so cached readings pick up calendar or tariff changes.
+ * Each entry also gets the real interval it covers (intervalStart/intervalEnd) and
+ * the local day and hour it starts at (localDate/localHour), taking the repeated
+ * and skipped hours of DST days into account.
  * @param {Array} data - Raw consumption data
+ * @param {Object} periodOptions - Options for getPeriod (tariff, region, intervalMinutes)
  * @returns {Array} Data enriched with period information
  */
-function enrichData(data) {
+function enrichData(data, periodOptions = {}) {
   if (!Array.isArray(data) || data.length === 0) {
     console.warn('enrichData received invalid data:', data);
     return [];
@@ -39,29 +204,54 @@ function enrichData(data) {
   
   console.log(`Enriching ${data.length} consumption data entries with periods`);
   
-  return data.map(entry => {
+  const resolutionOptions = getReadingResolutionOptions(data, periodOptions);
+  
+  return data.map((entry, index) => {
     // Skip invalid entries
     if (!entry || !entry.date || !entry.time) {
       console.warn('Invalid entry in consumption data:', entry);
       return entry;
     }
     
+    const readingOptions = { ...periodOptions, ...resolutionOptions[index] };
+    const interval = resolveReadingInterval(entry.date, entry.time, readingOptions);
+    
     return {
       ...entry,
-      period: entry.period || getPeriod(entry.date, entry.time),
+      period: getIntervalPeriod(interval, readingOptions),
+      intervalStart: interval.start,
+      intervalEnd: interval.end,
+      localDate: interval.localDate,
+      localHour: interval.localHour,
       consumptionKWh: typeof entry.consumptionKWh === 'number' ? entry.consumptionKWh : 0,
       surplusEnergyKWh: typeof entry.surplusEnergyKWh === 'number' ? entry.surplusEnergyKWh : 0
     };
   });
 }
 
+/**
+ * Create an empty monthly entry with every period of the tariff
+ * @param {Array<string>} periods - Tariff periods (e.g. ["P1", "P2", "P3"])
+ * @returns {Object} Monthly entry with zeroed totals
+ */
+function createEmptyMonthEntry(periods) {
+  const entry = {};
+  periods.forEach(period => {
+    entry[period] = 0;
+  });
+  entry.surplusEnergyKWh = 0;
+  return entry;
+}
+
 /**
  * Build a monthly summary of consumption data
  * @param {Array} data - Consumption data with period information
+ * @param {Object} periodOptions - Options for getPeriod (tariff, region, intervalMinutes)
  * @returns {Object} Summary by month
  */
-function buildMonthlySummary(data) {
+function buildMonthlySummary(data, periodOptions = {}) {
   const summary = {};
+  const periods = getTariffPeriods(periodOptions.tariff);
   
   // Check if data is valid and has entries
   if (!Array.isArray(data) || data.length === 0) {
@@ -77,11 +267,11 @@ function buildMonthlySummary(data) {
   data.forEach(entry => {    
     const monthKey = entry.date.slice(0, 7); // Format: "YYYY/MM"
     if (!summary[monthKey]) {
-      summary[monthKey] = { P1: 0, P2: 0, P3: 0, surplusEnergyKWh: 0 };
+      summary[monthKey] = createEmptyMonthEntry(periods);
     }
     
-    // Make sure we have a valid period, default to P3 if missing
-    const period = entry.period || getPeriod(entry.date, entry.time);
+    // Make sure we have a valid period, classify the entry if missing
+    const period = entry.period || getPeriod(entry.date, entry.time, periodOptions);
     
     // Add consumption to the appropriate period
     summary[monthKey][period] += entry.consumptionKWh;
@@ -114,21 +304,27 @@ function calculateTotalConsumption(data) {
 /**
  * Calculate total consumption for a specific period
  * @param {Array} data - Consumption data
- * @param {string} period - Period type (P1, P2, P3)
+ * @param {string} period - Period type (P1..P6)
+ * @param {Object} periodOptions - Options for getPeriod, used for entries without a period
  * @returns {number} Total consumption for the period in kWh
  */
-function calculatePeriodTotal(data, period) {
+function calculatePeriodTotal(data, period, periodOptions = {}) {
   return data
-    .filter(item => getPeriod(item.date, item.time) === period)
+    .filter(item => (item.period || getPeriod(item.date, item.time, periodOptions)) === period)
     .reduce((total, item) => total + item.consumptionKWh, 0);
 }
 
 /**
  * Process consumption data and prepare summary 
  * @param {Array} data - Raw consumption data
+ * @param {Object} periodOptions - Options for getPeriod (tariff, region, intervalMinutes)
+ * @param {Object|null} dateRange - Months to show ({ startMonth, endMonth } as "YYYY/MM")
  * @returns {Object} Processed data with summaries
  */
-function processConsumptionData(data) {
+function processConsumptionData(data, periodOptions = {}, dateRange = null) {
+  const tariff = periodOptions.tariff || DEFAULT_TARIFF;
+  const periods = getTariffPeriods(tariff);
+
   // Validate input data
   if (!data || !Array.isArray(data) || data.length === 0) {
     console.warn('processConsumptionData received invalid data:', data);
@@ -137,35 +333,38 @@ function processConsumptionData(data) {
       enrichedData: [],
       summaryData: {},
       summaries: {
+        tariff,
+        periods,
         total: 0,
-        byPeriod: { P1: 0, P2: 0, P3: 0 },
-        byMonth: {
-          months: [],
-          data: {}
-        }
+        byPeriod: createEmptyMonthEntry(periods),
+        byMonth: dateRange
+          ? prepareMonthlyData({}, periods, dateRange)
+          : { months: [], data: {} }
       }
     };
   }
 
   // First enrich the data with period information
-  const enrichedData = enrichData(data);
+  const enrichedData = enrichData(data, periodOptions);
   
   // Log enriched data to help with debugging
   console.log('Enriched data (first 24 entries):', enrichedData.slice(0, 24));
   
   // Then build the monthly summary
-  const summaryData = buildMonthlySummary(enrichedData);
+  const summaryData = buildMonthlySummary(enrichedData, periodOptions);
   
   // Create consumption summaries
   const totalConsumption = calculateTotalConsumption(enrichedData);
+  const byPeriod = {};
+  periods.forEach(period => {
+    byPeriod[period] = calculatePeriodTotal(enrichedData, period, periodOptions);
+  });
   const summaries = {
+    tariff,
+    periods,
     total: totalConsumption,
-    byPeriod: {
-      P1: calculatePeriodTotal(enrichedData, 'P1'),
-      P2: calculatePeriodTotal(enrichedData, 'P2'),
-      P3: calculatePeriodTotal(enrichedData, 'P3')
-    },
-    byMonth: prepareMonthlyData(summaryData)
+    byPeriod,
+    byMonth: prepareMonthlyData(summaryData, periods, dateRange)
   };
   
   // Log summary data for debugging
@@ -180,38 +379,104 @@ function processConsumptionData(data) {
 }
 
 /**
- * Prepare 12 months of data starting from earliest available month
+ * Format a date as a month key (e.g. "2024/03")
+ * @param {Date} date - Date to format
+ * @returns {string} Month key in format YYYY/MM
+ */
+function toMonthKey(date) {
+  return `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Convert a month key to the first day of that month
+ * @param {string} monthKey - Month key in format YYYY/MM
+ * @returns {Date} First day of the month
+ */
+function monthKeyToDate(monthKey) {
+  const [year, month] = monthKey.split('/').map(Number);
+  return new Date(year, month - 1, 1);
+}
+
+/**
+ * Get the default date range: the last CONFIG.monthsToFetch complete months
+ * @param {Date} now - Reference date
+ * @param {number} monthCount - Number of months in the range
+ * @returns {Object} Date range ({ startMonth, endMonth } as "YYYY/MM")
+ */
+function getDefaultDateRange(now = new Date(), monthCount = CONFIG.monthsToFetch) {
+  return {
+    startMonth: toMonthKey(new Date(now.getFullYear(), now.getMonth() - monthCount, 1)),
+    endMonth: toMonthKey(new Date(now.getFullYear(), now.getMonth() - 1, 1))
+  };
+}
+
+/**
+ * Validate a date range, ordering its months and capping it at the current month
+ * @param {Object} dateRange - Date range ({ startMonth, endMonth } as "YYYY/MM")
+ * @param {Date} now - Reference date
+ * @returns {Object|null} Normalized date range, or null if it is not valid
+ */
+function normalizeDateRange(dateRange, now = new Date()) {
+  const monthKeyPattern = /^\d{4}\/(0[1-9]|1[0-2])$/;
+  if (!monthKeyPattern.test(dateRange?.startMonth) || !monthKeyPattern.test(dateRange?.endMonth)) {
+    return null;
+  }
+
+  const currentMonth = toMonthKey(now);
+  let [startMonth, endMonth] = [dateRange.startMonth, dateRange.endMonth].sort();
+  if (endMonth > currentMonth) endMonth = currentMonth;
+  if (startMonth > endMonth) startMonth = endMonth;
+
+  return { startMonth, endMonth };
+}
+
+/**
+ * Get the date range picked by the user, or the default one
+ * @returns {Object} Date range ({ startMonth, endMonth } as "YYYY/MM")
+ */
+function getSelectedDateRange() {
+  return normalizeDateRange(getPreference(PREFERENCE_KEYS.dateRange, null)) || getDefaultDateRange();
+}
+
+/**
+ * Prepare consecutive months of data
+ * Without a date range, shows 12 months starting from the earliest available month.
  * @param {Object} summaryData - Summary data by month
- * @returns {Object} 12 consecutive months of data
+ * @param {Array<string>} periods - Tariff periods used for empty months
+ * @param {Object|null} dateRange - Months to show ({ startMonth, endMonth } as "YYYY/MM")
+ * @returns {Object} Consecutive months of data
  */
-function prepareMonthlyData(summaryData) {
-  // Determine the starting month based on the earliest available data
+function prepareMonthlyData(summaryData, periods = getTariffPeriods(), dateRange = null) {
+  // Determine the starting month based on the date range or the earliest available data
   let startKey;
   const keys = Object.keys(summaryData);
-  if (keys.length > 0) {
+  if (dateRange) {
+    startKey = dateRange.startMonth;
+  } else if (keys.length > 0) {
     keys.sort(); // Lexicographical sort works for "YYYY/MM"
     startKey = keys[0];
   } else {
-    const now = new Date();
-    startKey = `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}`;
+    startKey = toMonthKey(new Date());
   }
   
-  const [startYear, startMonth] = startKey.split('/').map(Number);
-  const startingDate = new Date(startYear, startMonth - 1, 1);
+  const startingDate = monthKeyToDate(startKey);
+  const endingDate = dateRange ? monthKeyToDate(dateRange.endMonth) : null;
+  const monthCount = endingDate
+    ? (endingDate.getFullYear() - startingDate.getFullYear()) * 12 + endingDate.getMonth() - startingDate.getMonth() + 1
+    : 12;
   
-  // Build an array of 12 consecutive month keys
+  // Build an array of consecutive month keys
   const months = [];
   const monthData = {};
   
-  for (let i = 0; i < 12; i++) {
-    const currentDate = new Date(startingDate);
-    currentDate.setMonth(startingDate.getMonth() + i);
-    const key = `${currentDate.getFullYear()}/${String(currentDate.getMonth() + 1).padStart(2, '0')}`;
+  for (let i = 0; i < monthCount; i++) {
+    const currentDate = new Date(startingDate.getFullYear(), startingDate.getMonth() + i, 1);
+    const key = toMonthKey(currentDate);
     months.push(key);
     
     // If there's no data for this month, add default values
     if (!summaryData[key]) {
-      monthData[key] = { P1: 0, P2: 0, P3: 0, surplusEnergyKWh: 0 };
+      monthData[key] = createEmptyMonthEntry(periods);
     } else {
       monthData[key] = { ...summaryData[key] };
     }
@@ -229,6 +494,33 @@ function prepareMonthlyData(summaryData) {
   };
 }
 
+/**
+ * Group distributor errors that share an error code, with a friendly message
+ * Datadis repeats the same errors in every response, so duplicates are dropped.
+ * @param {Array<Object>} distributorErrors - Errors with distributorName, errorCode and errorDescription
+ * @returns {Array<Object>} Warnings with errorCode, message and distributors (names)
+ */
+function groupDistributorErrors(distributorErrors = []) {
+  const warnings = new Map();
+  
+  distributorErrors.forEach(error => {
+    const message = DISTRIBUTOR_ERROR_MESSAGES[error.errorCode] ||
+      error.errorDescription ||
+      'No ha devuelto datos.';
+    const distributor = error.distributorName || `Distribuidora ${error.distributorCode}`;
+    
+    if (!warnings.has(message)) {
+      warnings.set(message, { errorCode: error.errorCode, message, distributors: [] });
+    }
+    const warning = warnings.get(message);
+    if (!warning.distributors.includes(distributor)) {
+      warning.distributors.push(distributor);
+    }
+  });
+  
+  return [...warnings.values()];
+}
+
 /**
  * Format month for display (e.g., "2023/01" to "Jan 2023")
  * @param {string} monthKey - Month key in format YYYY/MM
@@ -265,6 +557,230 @@ function normalizeExportNumber(value, decimals = 3) {
   return Number(numericValue.toFixed(decimals));
 }
 
+/**
+ * Get contracted power per power period
+ * 2.0TD bills use two power periods (Punta and Valle), 3.0TD bills use six.
+ * @param {Object|null} contractDetails - Contract details with power values
+ * @param {number} count - Number of power periods
+ * @returns {Array<number|string>} Contracted power (kW) per period
+ */
+function getContractedPowers(contractDetails, count) {
+  const powers = Array.isArray(contractDetails?.contractedPowerkW) && contractDetails.contractedPowerkW.length > 0
+    ? contractDetails.contractedPowerkW
+    : [contractDetails?.p1, contractDetails?.p2];
+  return Array.from({ length: count }, (_, index) => powers[index] ?? '');
+}
+
+/**
+ * Parse a Datadis contract date ("YYYY/MM/DD" or "YYYY-MM-DD")
+ * @param {string} value - Date as sent by Datadis
+ * @returns {Date|null} Local midnight of that day, or null if empty or invalid
+ */
+function parseContractDate(value) {
+  const match = String(value || '').match(/^(\d{4})[/-](\d{2})[/-](\d{2})$/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/**
+ * Get the contracted power in force during each month
+ * Each day takes the power of the contract entry in force that day (from its start
+ * to its end date), and months with a change get the average weighted by days.
+ * Months without any entry in force get no power. Without contract entries every
+ * month gets the current power.
+ * @param {Object|null} contractDetails - Contract details, with the Datadis entries in `contracts`
+ * @param {Array<string>} months - Month keys ("YYYY/MM")
+ * @param {number} count - Number of power periods
+ * @returns {Object} Contracted power (kW) per period, keyed by month
+ */
+function getMonthlyContractedPowers(contractDetails, months, count) {
+  const currentPowers = getContractedPowers(contractDetails, count);
+  const history = (contractDetails?.contracts || [])
+    .map(contract => ({
+      start: parseContractDate(contract.startDate),
+      end: parseContractDate(contract.endDate),
+      powers: contract.contractedPowerkW
+    }))
+    .filter(entry => entry.start && Array.isArray(entry.powers) && entry.powers.length > 0)
+    .sort((a, b) => a.start - b.start);
+  
+  const monthlyPowers = {};
+  months.forEach(monthKey => {
+    if (history.length === 0) {
+      monthlyPowers[monthKey] = currentPowers;
+      return;
+    }
+    
+    const firstDay = monthKeyToDate(monthKey);
+    const days = new Date(firstDay.getFullYear(), firstDay.getMonth() + 1, 0).getDate();
+    // Days in force of each contract entry; days outside every entry don't count
+    const daysByEntry = new Map();
+    for (let day = 1; day <= days; day++) {
+      const date = new Date(firstDay.getFullYear(), firstDay.getMonth(), day);
+      const entry = history.findLast(contract => contract.start <= date && (!contract.end || date <= contract.end));
+      if (entry) daysByEntry.set(entry, (daysByEntry.get(entry) || 0) + 1);
+    }
+    
+    if (daysByEntry.size === 0) {
+      monthlyPowers[monthKey] = currentPowers.map(() => '');
+      return;
+    }
+    
+    monthlyPowers[monthKey] = currentPowers.map((currentPower, index) => {
+      let weightedPower = 0;
+      let coveredDays = 0;
+      daysByEntry.forEach((entryDays, entry) => {
+        const power = Number(entry.powers[index]);
+        if (entry.powers[index] !== '' && Number.isFinite(power)) {
+          weightedPower += power * entryDays;
+          coveredDays += entryDays;
+        }
+      });
+      // Rounded to watts, to hide floating point noise
+      return coveredDays > 0 ? Math.round(weightedPower / coveredDays * 1000) / 1000 : currentPower;
+    });
+  });
+  
+  return monthlyPowers;
+}
+
+/**
+ * Get the power period of a max power peak
+ * Uses the period sent by Datadis when it is a known one, or else the time of the peak.
+ * 2.0TD has two power periods: P1 covers Punta and Llana, P2 is Valle.
+ * @param {Object} peak - Peak with date, time and period
+ * @param {Object} periodOptions - Options for getPeriod (tariff, region)
+ * @param {number} count - Number of power periods
+ * @returns {string} Power period ("P1"...)
+ */
+function getMaxPowerPeriod(peak, periodOptions = {}, count = 2) {
+  const name = String(peak.period ?? '').trim().toUpperCase();
+  const number = Number(name.match(/^P?([1-6])$/)?.[1]);
+  if (number && number <= count) return `P${number}`;
+  if (count === 2 && POWER_PERIOD_NAMES[name]) return POWER_PERIOD_NAMES[name];
+  
+  // Peaks are quarter-hour averages labelled with their end time
+  const energyPeriod = getPeriod(peak.date, peak.time, { ...periodOptions, intervalMinutes: 15 });
+  if (count === 2) return energyPeriod === 'P3' ? 'P2' : 'P1';
+  return energyPeriod;
+}
+
+/**
+ * Get the highest demand of each month and power period
+ * @param {Array<Object>} peaks - Peaks from getMaxPowerData (date, time, period, maxPowerKW)
+ * @param {Object} periodOptions - Options for getPeriod (tariff, region)
+ * @param {number} count - Number of power periods
+ * @returns {Object} Per month ("YYYY/MM"), one { kW, date, time } or null per power period
+ */
+function summarizeMaxPower(peaks, periodOptions = {}, count = 2) {
+  const byMonth = {};
+  peaks.forEach(peak => {
+    const monthKey = String(peak.date).slice(0, 7);
+    const index = Number(getMaxPowerPeriod(peak, periodOptions, count).slice(1)) - 1;
+    byMonth[monthKey] = byMonth[monthKey] || Array(count).fill(null);
+    if (!byMonth[monthKey][index] || peak.maxPowerKW > byMonth[monthKey][index].kW) {
+      byMonth[monthKey][index] = { kW: peak.maxPowerKW, date: peak.date, time: peak.time };
+    }
+  });
+  return byMonth;
+}
+
+/**
+ * Round a power up to 0.1 kW, ignoring float noise (1.1 stays 1.1)
+ * @param {number} kW - Power to round
+ * @returns {number} Rounded power (kW)
+ */
+function roundPowerUp(kW) {
+  return Math.ceil(Math.round(kW * 1000) / 100) / 10;
+}
+
+/**
+ * Get the smallest standard power level that covers a demand
+ * @param {number} kW - Demand to cover
+ * @returns {number} Power level (kW)
+ */
+function getStandardPowerLevel(kW) {
+  return STANDARD_POWER_LEVELS_KW.find(level => level >= kW) ?? roundPowerUp(kW);
+}
+
+/**
+ * Recommend the contracted power that would have covered every peak
+ * 2.0TD powers use the standard ICP levels. 3.0TD powers aren't limited to those:
+ * they are rounded up to 0.1 kW, must keep P1 <= P2 <= ... <= P6, and P6 must stay
+ * above 15 kW for the supply to keep its tariff.
+ * @param {Object} maxPowerByMonth - Peaks from summarizeMaxPower
+ * @param {number} count - Number of power periods
+ * @returns {Object} { peaks, powers }: highest peak ({ kW, date, time } or null) and recommended power (kW or null) per period
+ */
+function recommendContractedPower(maxPowerByMonth, count = 2) {
+  const peaks = Array(count).fill(null);
+  Object.values(maxPowerByMonth).forEach(monthPeaks => {
+    monthPeaks.forEach((peak, index) => {
+      if (peak && (!peaks[index] || peak.kW > peaks[index].kW)) {
+        peaks[index] = peak;
+      }
+    });
+  });
+  
+  if (count !== 6) {
+    return { peaks, powers: peaks.map(peak => (peak ? getStandardPowerLevel(peak.kW) : null)) };
+  }
+  
+  const powers = peaks.map(peak => (peak ? roundPowerUp(peak.kW) : null));
+  for (let index = 1; index < count; index++) {
+    if (powers[index] !== null && powers[index - 1] !== null) {
+      powers[index] = Math.max(powers[index], powers[index - 1]);
+    }
+  }
+  const lastIndex = powers.findLastIndex(power => power !== null);
+  if (lastIndex >= 0 && powers[lastIndex] <= SIX_PERIOD_MIN_POWER_KW) {
+    powers[lastIndex] = SIX_PERIOD_MIN_POWER_KW + 0.1;
+  }
+  
+  return { peaks, powers };
+}
+
+/**
+ * Format a Datadis contract date ("YYYY/MM/DD" or "YYYY-MM-DD") as "DD/MM/YYYY"
+ * @param {string} value - Date as sent by Datadis
+ * @returns {string} Formatted date, or the value unchanged if it isn't a date
+ */
+function formatContractDate(value) {
+  const match = String(value || '').match(/^(\d{4})[/-](\d{2})[/-](\d{2})$/);
+  return match ? `${match[3]}/${match[2]}/${match[1]}` : String(value || '');
+}
+
+/**
+ * Get the contract fields shown in the supply information card
+ * Fields Datadis leaves empty are skipped.
+ * @param {Object|null} contractDetails - Contract details, with the full Datadis contract in `contract`
+ * @returns {Array<Object>} Items with label and value
+ */
+function getContractInfoItems(contractDetails) {
+  const contract = contractDetails?.contract;
+  if (!contract) return [];
+  
+  const powers = (Array.isArray(contract.contractedPowerkW) ? contract.contractedPowerkW : [])
+    .map((power, index) => `P${index + 1}: ${formatNumberES(Number(power), 2)} kW`)
+    .join(' · ');
+  const selfConsumption = contract.selfConsumptionTypeDesc || contract.selfConsumptionTypeCode;
+  
+  const items = [
+    { label: 'Comercializadora', value: contract.marketer },
+    { label: 'Distribuidora', value: contract.distributor },
+    { label: 'Tarifa de acceso', value: [contractDetails.tariff, contract.accessFare].filter(Boolean).join(' · ') },
+    { label: 'Tensión', value: contract.tension },
+    { label: 'Discriminación horaria', value: contract.timeDiscrimination },
+    { label: 'Potencia contratada', value: powers },
+    { label: 'Potencia máxima admisible', value: contract.maxPowerInstall ? `${formatNumberES(Number(contract.maxPowerInstall), 2)} kW` : '' },
+    { label: 'Control de potencia', value: contract.modePowerControl },
+    { label: 'Inicio del contrato', value: formatContractDate(contract.startDate) },
+    { label: 'Fin del contrato', value: contract.startDate ? (formatContractDate(contract.endDate) || 'En vigor') : '' },
+    { label: 'Autoconsumo', value: selfConsumption ? `${selfConsumption}${contract.cau ? ` (CAU ${contract.cau})` : ''}` : '' }
+  ];
+  
+  return items.filter(item => item.value);
+}
+
 /**
  * Build JSON export payload from processed consumption data
  * @param {Object} processedData - Processed data structure
@@ -277,22 +793,25 @@ function buildJsonExportData(processedData, contractDetails = null) {
     return [];
   }
 
-  const potenciaP1 = normalizeExportNumber(contractDetails?.p1, 2);
-  const potenciaP2 = normalizeExportNumber(contractDetails?.p2, 2);
+  const periods = processedData.summaries.periods || getTariffPeriods();
+  const monthlyPowers = getMonthlyContractedPowers(contractDetails, byMonth.months, periods.length === 6 ? 6 : 2);
 
   return byMonth.months.map(monthKey => {
     const monthEntry = byMonth.data[monthKey] || {};
-
-    return {
+    const exportEntry = {
       name: formatMonthShortLabel(monthKey),
-      dias: Number.isFinite(monthEntry.days) ? monthEntry.days : 0,
-      consumoP1: normalizeExportNumber(monthEntry.P1, 3),
-      consumoP2: normalizeExportNumber(monthEntry.P2, 3),
-      consumoP3: normalizeExportNumber(monthEntry.P3, 3),
-      potenciaP1,
-      potenciaP2,
-      excedentes: normalizeExportNumber(monthEntry.surplusEnergyKWh, 3)
+      dias: Number.isFinite(monthEntry.days) ? monthEntry.days : 0
     };
+
+    periods.forEach(period => {
+      exportEntry[`consumo${period}`] = normalizeExportNumber(monthEntry[period], 3);
+    });
+    monthlyPowers[monthKey].forEach((power, index) => {
+      exportEntry[`potenciaP${index + 1}`] = normalizeExportNumber(power, 2);
+    });
+    exportEntry.excedentes = normalizeExportNumber(monthEntry.surplusEnergyKWh, 3);
+
+    return exportEntry;
   });
 }
 
@@ -340,6 +859,11 @@ async function handleFormSubmissions(event) {
 async function handleLoginFormSubmission() {
   const username = document.getElementById('username').value;
   const password = document.getElementById('password').value;
+  const quarterHourly = document.getElementById('quarterHourly')?.checked;
+  setPreference(
+    PREFERENCE_KEYS.measurementType,
+    quarterHourly ? MEASUREMENT_TYPES.quarterHourly : MEASUREMENT_TYPES.hourly
+  );
   
   console.log('Login form submitted:', { username });
   showLoadingSpinner('Autenticando usuario...');
@@ -363,9 +887,7 @@ async function handleLoginFormSubmission() {
     hideLoadingSpinner();
     
     // Handle only login-specific errors here
-    if (error.message && (error.message.includes('Login failed') || 
-                         error.message.includes('401') || 
-                         error.message.includes('authentication'))) {
+    if (isAuthError(error) || error.message?.startsWith('Login failed')) {
       alert('Credenciales incorrectas. Por favor, verifica tu usuario y contraseña.');
     } else {
       alert('Ha habido un error durante el inicio de sesión: ' + error.message);
@@ -377,10 +899,33 @@ async function handleLoginFormSubmission() {
  * Process consumption data and display on dashboard
  * @param {Array} data - Raw consumption data
  * @param {Object} contractDetails - Contract details with p1 and p2 values
+ * @param {Object} supplyData - Selected supply, used to pick the regional schedule and holidays
+ * @param {Object} options - Display options
+ * @param {number} options.measurementType - 0 (hourly) or 1 (quarter-hourly)
+ * @param {Object} options.dateRange - Months to show ({ startMonth, endMonth } as "YYYY/MM")
+ * @param {Function} options.onDateRangeChange - Called with the new range when the user picks one
+ * @param {Function} options.onCacheRefresh - Called with the cache id of a supply to download it again; omitted offline
+ * @param {Array<Object>} options.distributorErrors - Errors Datadis reported for some distributors
+ * @param {Array<Object>|null} options.maxPowerData - Peaks from getMaxPowerData; not shown if null
  */
-function processAndDisplayData(data, contractDetails) {
-  // Only process the data once
-  const processedData = processConsumptionData(data);
+function processAndDisplayData(data, contractDetails, supplyData = null, options = {}) {
+  const {
+    measurementType = MEASUREMENT_TYPES.hourly,
+    dateRange = getSelectedDateRange(),
+    onDateRangeChange = null,
+    onCacheRefresh = null,
+    distributorErrors = [],
+    maxPowerData = null
+  } = options;
+  const community = detectCommunity(supplyData || {});
+  const includeRegionalHolidays = Boolean(community) && getPreference(PREFERENCE_KEYS.regionalHolidays, false);
+  
+  // Only process the data once, classifying periods with the contract tariff and region
+  const periodOptions = getPeriodOptions(contractDetails, supplyData, {
+    regionalHolidays: includeRegionalHolidays,
+    measurementType
+  });
+  const processedData = processConsumptionData(data, periodOptions, dateRange);
   
   // Get CUPS from the data if available, or from contractDetails
   const cups = data.length > 0 ? data[0].cups : (contractDetails.cups || 'No disponible');
@@ -388,91 +933,565 @@ function processAndDisplayData(data, contractDetails) {
   // Extract address info if it exists in contractDetails
   const addressInfo = contractDetails.addressInfo || 'No disponible';
   
+  // Power periods: two for 2.0TD, six for 3.0TD
+  const maxPowerByMonth = maxPowerData
+    ? summarizeMaxPower(maxPowerData, periodOptions, processedData.summaries.periods.length === 6 ? 6 : 2)
+    : null;
+  
   // Pass the processed data to the dashboard renderer with CUPS and address
-  renderDashboard(processedData, addressInfo, cups, contractDetails);
+  renderDashboard(processedData, addressInfo, cups, contractDetails, maxPowerByMonth);
+  
+  // Totals with national holidays only, to show what the regional ones change
+  const nationalOnlyTotals = includeRegionalHolidays
+    ? processConsumptionData(data, { ...periodOptions, regionalHolidays: null }, dateRange).summaries.byPeriod
+    : null;
+  
+  renderLoadProfile(processedData, periodOptions);
+  
+  renderHolidayOptions(processedData, community, nationalOnlyTotals, () => {
+    processAndDisplayData(data, contractDetails, supplyData, options);
+  });
+  
+  if (onDateRangeChange) {
+    renderDateRangeOptions(dateRange, onDateRangeChange);
+  }
+  
+  // Rendered last so the warnings sit right below the supply information
+  renderDistributorWarnings(distributorErrors);
+  
+  renderCachePanel(onCacheRefresh);
 }
 
 /**
- * Render the dashboard with consumption data
- * @param {Array} data - Raw consumption data
- * @param {string} addressInfo - Address information for the supply
- * @param {string} cups - CUPS for the supply
- * @param {Object} contractDetails - Contract details with p1 and p2 values
+ * Render the errors Datadis reported for some distributors
+ * @param {Array<Object>} distributorErrors - Errors with distributorName, errorCode and errorDescription
  */
-function renderDashboard(data, addressInfo, cups, contractDetails) {
-  // Clear the login form and show the dashboard
-  document.getElementById('login-container').style.display = 'none';
-  const dashboardContainer = document.getElementById('dashboard-container');
-  dashboardContainer.style.display = 'block';
+function renderDistributorWarnings(distributorErrors) {
+  const supplyInfoCard = document.querySelector('#table-container .supply-info-card');
+  const warnings = groupDistributorErrors(distributorErrors);
+  if (!supplyInfoCard || warnings.length === 0) return;
   
-  // Render the consumption table with supply information
-  renderConsumptionTable(data, addressInfo, cups, contractDetails);
+  const cardHTML = `
+    <div class="supply-info-card period-options-card distributor-warnings-card">
+      <div class="supply-info-header">
+        <h2>Avisos de las distribuidoras</h2>
+      </div>
+      <div class="period-options-content">
+        <ul class="distributor-warnings"></ul>
+        <p class="option-help">Datadis reúne los datos de cada distribuidora. Si alguna no responde, sus suministros o datos pueden faltar.</p>
+      </div>
+    </div>
+  `;
   
-  // Check if header already exists before creating a new one
-  if (!document.querySelector('.dashboard-header')) {
-    // Create header with user and logout information
-    const headerHTML = `
-      <header class="dashboard-header">
-        <div class="header-content">
-          <h1>Tus Consumos Eléctricos</h1>
-          <div class="user-actions">
-            <span class="username">${sessionStorage.getItem('username') || ''}</span>
-            <button id="logoutBtn" class="logout-btn">Cerrar sesión</button>
-          </div>
-        </div>
-      </header>
-    `;
-    
-    // Insert header at the beginning of the body
-    document.body.insertAdjacentHTML('afterbegin', headerHTML);
-    
-    // Add event listener for logout
-    document.getElementById('logoutBtn').addEventListener('click', logout);
-  }
+  supplyInfoCard.insertAdjacentHTML('afterend', cardHTML);
+  
+  // Distributor names and messages come from Datadis, so they are not parsed as HTML
+  const list = supplyInfoCard.nextElementSibling.querySelector('.distributor-warnings');
+  warnings.forEach(warning => {
+    const item = document.createElement('li');
+    const distributors = document.createElement('strong');
+    distributors.textContent = `${warning.distributors.join(', ')}:`;
+    item.append(distributors, ` ${warning.message}`);
+    list.appendChild(item);
+  });
 }
 
 /**
- * Format a number using Spanish format (comma as decimal separator)
- * @param {number} num - The number to format
- * @param {number} decimals - Number of decimal places
- * @returns {string} Formatted number
+ * Render the contracted power recommendation from the maxímetro peaks
+ * @param {Object} maxPowerByMonth - Peaks from summarizeMaxPower
+ * @param {Object} contractDetails - Contract details with the current power
+ * @param {Array<string>} periods - Energy periods of the tariff
  */
-function formatNumberES(num, decimals = 2) {
-  if (num === undefined || num === null) return '';
-  return num.toFixed(decimals).replace('.', ',');
+function renderPowerRecommendation(maxPowerByMonth, contractDetails, periods) {
+  const labels = periods.length === 6 ? periods : ['Punta', 'Valle'];
+  const currentPowers = getContractedPowers(contractDetails, labels.length).map(Number);
+  const { peaks, powers } = recommendContractedPower(maxPowerByMonth, labels.length);
+  if (peaks.every(peak => !peak)) return;
+  
+  const rowsHTML = labels.map((label, index) => {
+    const peak = peaks[index];
+    if (!peak) return '';
+    const current = currentPowers[index];
+    // Three decimals, so standard levels such as 1,725 kW are shown exactly
+    const recommended = powers[index];
+    let advice = 'Ajustada';
+    if (current > 0 && recommended < current) advice = 'Podrías bajarla';
+    if (current > 0 && peak.kW > current) advice = 'Tus picos la superan';
+    return `
+      <tr>
+        <td class="row-label">${label}</td>
+        <td class="data-cell">${current > 0 ? formatNumberES(current, 2) : ''}</td>
+        <td class="data-cell" title="${formatContractDate(peak.date)} ${peak.time}">${formatNumberES(peak.kW, 2)}</td>
+        <td class="data-cell">${formatNumberES(recommended, 3)}</td>
+        <td>${advice}</td>
+      </tr>
+    `;
+  }).join('');
+  
+  const container = document.getElementById('table-container');
+  container.insertAdjacentHTML('beforeend', `
+    <div class="supply-info-card period-options-card power-recommendation-card">
+      <div class="supply-info-header">
+        <h2>Potencia recomendada</h2>
+      </div>
+      <div class="period-options-content">
+        <table class="comparison-table">
+          <thead>
+            <tr><th>Periodo</th><th>Contratada (kW)</th><th>Pico máximo (kW)</th><th>Recomendada (kW)</th><th></th></tr>
+          </thead>
+          <tbody>${rowsHTML}</tbody>
+        </table>
+        <p class="option-help">La recomendación es la menor potencia normalizada que habría cubierto el mayor pico del periodo mostrado. Los picos son medias cuartohorarias: si sueles encender varios aparatos potentes a la vez, deja algo de margen.</p>
+      </div>
+    </div>
+  `);
 }
 
 /**
- * Render the consumption table
- * @param {Object|Array} data - Processed data object or raw consumption data array
- * @param {string} addressInfo - Address information for the supply
- * @param {string} cups - CUPS for the supply
- * @param {Object} contractDetails - Contract details with p1 and p2 values
+ * Show a data loading error in the dashboard, keeping the session
+ * @param {Error} error - The error object
+ * @param {Object} actions - Available actions
+ * @param {Function} actions.onRetry - Load the same supply again
+ * @param {Function|null} actions.onPickSupply - Choose another supply; omitted if there is only one
  */
-function renderConsumptionTable(data, addressInfo = null, cups = null, contractDetails = null) {
-  const container = document.getElementById('table-container');
+function renderErrorCard(error, actions = {}) {
+  const { onRetry, onPickSupply = null } = actions;
   
-  // Debug logging
-  console.log('Rendering consumption table with:');
-  console.log('addressInfo:', addressInfo);
-  console.log('cups:', cups);
-  console.log('contractDetails:', contractDetails);
+  renderDashboardHeader();
+  showDashboard(true);
   
-  // Create supply information section
-  const supplyInfoHTML = `
-    <div class="supply-info-card">
+  const container = document.getElementById('table-container');
+  container.innerHTML = `
+    <div class="supply-info-card error-card">
+      <div class="supply-info-header">
+        <h2>No se han podido cargar tus datos</h2>
+      </div>
+      <div class="period-options-content">
+        <p class="error-card-message"></p>
+        <details class="error-card-details">
+          <summary>Detalles técnicos</summary>
+          <pre></pre>
+        </details>
+        <div class="error-card-actions">
+          <button type="button" id="retryLoadBtn" class="range-btn">Reintentar</button>
+          ${onPickSupply ? '<button type="button" id="pickSupplyBtn" class="range-btn pick-supply-btn">Elegir otro suministro</button>' : ''}
+        </div>
+      </div>
+    </div>
+  `;
+  
+  // The messages may contain text sent by Datadis, so they are not parsed as HTML
+  container.querySelector('.error-card-message').textContent = describeLoadError(error);
+  container.querySelector('.error-card-details pre').textContent = error.message;
+  
+  document.getElementById('retryLoadBtn').addEventListener('click', onRetry);
+  document.getElementById('pickSupplyBtn')?.addEventListener('click', onPickSupply);
+}
+
+/**
+ * Render the list of cached supplies, with actions to download or delete them
+ * @param {Function|null} onRefresh - Called with the cache id of a supply to download it again; no refresh button if null
+ * @returns {Promise<void>}
+ */
+async function renderCachePanel(onRefresh) {
+  const cachedSupplies = await listCachedSupplies();
+  const container = document.getElementById('table-container');
+  container.querySelector('.cache-panel-card')?.remove();
+  
+  const measurementLabels = {
+    [MEASUREMENT_TYPES.hourly]: 'horaria',
+    [MEASUREMENT_TYPES.quarterHourly]: 'cuartohoraria'
+  };
+  
+  const entriesHTML = cachedSupplies.map(cachedSupply => {
+    const rangesHTML = groupCachedMonthRanges(cachedSupply.months).map(range => {
+      const months = range.startMonth === range.endMonth
+        ? formatMonthDisplay(range.startMonth)
+        : `${formatMonthDisplay(range.startMonth)} - ${formatMonthDisplay(range.endMonth)}`;
+      return `<li>${months} (${range.count} ${range.count === 1 ? 'mes' : 'meses'}, curva ${measurementLabels[range.measurementType] || range.measurementType})</li>`;
+    }).join('');
+    const timestamps = cachedSupply.months.map(entry => entry.timestamp);
+    const oldest = new Date(Math.min(...timestamps));
+    const newest = cachedSupply.cachedAt;
+    const fetchedHTML = oldest.getTime() === newest.getTime()
+      ? `Descargado el ${newest.toLocaleString()} (${formatRelativeTime(newest)})`
+      : `Descargado entre el ${oldest.toLocaleString()} (${formatRelativeTime(oldest)}) y el ${newest.toLocaleString()} (${formatRelativeTime(newest)})`;
+    const addressInfo = cachedSupply.supply?.addressInfo || cachedSupply.contractDetails?.addressInfo || 'Sin dirección';
+    
+    return `
+      <div class="cache-entry">
+        <div class="cache-entry-info">
+          <strong>${escapeHtml(cachedSupply.cups)}</strong> <span>(${escapeHtml(addressInfo)})</span>
+          ${cachedSupply.authorizedNif ? `<p class="cache-entry-meta">Autorizado por ${escapeHtml(cachedSupply.authorizedNif)}</p>` : ''}
+          <ul class="cache-entry-ranges">${rangesHTML}</ul>
+          <p class="cache-entry-meta">${fetchedHTML} · ${formatCacheSize(cachedSupply.size)}</p>
+        </div>
+        <div class="cache-entry-actions">
+          ${onRefresh ? `<button type="button" class="range-btn cache-refresh-btn" data-cache-id="${escapeHtml(cachedSupply.cacheId)}" title="Volver a descargar de Datadis el periodo seleccionado">Actualizar</button>` : ''}
+          <button type="button" class="range-btn cache-delete-btn" data-cache-id="${escapeHtml(cachedSupply.cacheId)}">Borrar</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+  
+  const panelHTML = `
+    <div class="supply-info-card period-options-card cache-panel-card">
+      <div class="supply-info-header">
+        <h2>Datos guardados</h2>
+      </div>
+      <div class="period-options-content">
+        <p class="option-help">Los datos descargados se guardan en este navegador para no repetir consultas a Datadis, que limita las peticiones diarias.</p>
+        ${entriesHTML || '<p>No hay datos guardados.</p>'}
+      </div>
+    </div>
+  `;
+  
+  container.insertAdjacentHTML('beforeend', panelHTML);
+  
+  container.querySelectorAll('.cache-refresh-btn').forEach(button => {
+    button.addEventListener('click', () => onRefresh(button.getAttribute('data-cache-id')));
+  });
+  
+  container.querySelectorAll('.cache-delete-btn').forEach(button => {
+    button.addEventListener('click', async () => {
+      const cachedSupply = cachedSupplies.find(entry => entry.cacheId === button.getAttribute('data-cache-id'));
+      if (!confirm(`¿Borrar los datos guardados del suministro ${cachedSupply.cups}?`)) return;
+      await removeCache(cachedSupply.keys);
+      await renderCachePanel(onRefresh);
+    });
+  });
+}
+
+/**
+ * Render the date range picker
+ * @param {Object} dateRange - Current date range ({ startMonth, endMonth } as "YYYY/MM")
+ * @param {Function} onChange - Called with the new date range
+ */
+function renderDateRangeOptions(dateRange, onChange) {
+  const supplyInfoCard = document.querySelector('#table-container .supply-info-card');
+  if (!supplyInfoCard) return;
+  
+  // <input type="month"> uses "YYYY-MM"
+  const toInputValue = monthKey => monthKey.replace('/', '-');
+  const fromInputValue = value => value.replace('-', '/');
+  const maxMonth = toInputValue(toMonthKey(new Date()));
+  
+  const optionsHTML = `
+    <div class="supply-info-card period-options-card">
+      <div class="supply-info-header">
+        <h2>Periodo</h2>
+      </div>
+      <form id="dateRangeForm" class="period-options-content date-range-form">
+        <div class="date-range-inputs">
+          <label for="rangeStartMonth">Desde
+            <input type="month" id="rangeStartMonth" value="${toInputValue(dateRange.startMonth)}" max="${maxMonth}" required>
+          </label>
+          <label for="rangeEndMonth">Hasta
+            <input type="month" id="rangeEndMonth" value="${toInputValue(dateRange.endMonth)}" max="${maxMonth}" required>
+          </label>
+          <button type="submit" class="range-btn">Aplicar</button>
+          <button type="button" class="range-btn range-preset-btn" data-months="12">Últimos 12 meses</button>
+          <button type="button" class="range-btn range-preset-btn" data-months="24">Últimos 24 meses</button>
+        </div>
+        <p class="option-help">La tabla y los datos copiados se ajustan a los meses elegidos. Los meses nuevos se descargan de Datadis.</p>
+      </form>
+    </div>
+  `;
+  
+  supplyInfoCard.insertAdjacentHTML('afterend', optionsHTML);
+  
+  document.getElementById('dateRangeForm').addEventListener('submit', event => {
+    event.preventDefault();
+    const newRange = normalizeDateRange({
+      startMonth: fromInputValue(document.getElementById('rangeStartMonth').value),
+      endMonth: fromInputValue(document.getElementById('rangeEndMonth').value)
+    });
+    if (!newRange) {
+      alert('Por favor, selecciona un mes de inicio y un mes de fin válidos.');
+      return;
+    }
+    onChange(newRange);
+  });
+  
+  // Only the preset buttons of this form carry a number of months
+  document.getElementById('dateRangeForm').querySelectorAll('[data-months]').forEach(button => {
+    button.addEventListener('click', () => {
+      onChange(getDefaultDateRange(new Date(), Number(button.getAttribute('data-months'))));
+    });
+  });
+}
+
+/**
+ * Render the regional holidays toggle with the resulting period totals
+ * @param {Object} processedData - Processed data structure
+ * @param {string|null} community - Autonomous community of the supply
+ * @param {Object|null} nationalOnlyTotals - Period totals without regional holidays, when they are enabled
+ * @param {Function} onChange - Called after the preference changes to re-render the dashboard
+ */
+function renderHolidayOptions(processedData, community, nationalOnlyTotals, onChange) {
+  const supplyInfoCard = document.querySelector('#table-container .supply-info-card');
+  if (!supplyInfoCard) return;
+  
+  const { periods, byPeriod } = processedData.summaries;
+  const labels = getEnergyPeriodLabels(periods);
+  const enabled = Boolean(nationalOnlyTotals);
+  const communityName = getCommunityName(community);
+  
+  const totalsHTML = periods.map((period, index) => {
+    const difference = enabled ? byPeriod[period] - nationalOnlyTotals[period] : 0;
+    const differenceHTML = enabled && Math.abs(difference) >= 0.005
+      ? ` <span class="period-total-diff">(${difference > 0 ? '+' : ''}${formatNumberES(difference)})</span>`
+      : '';
+    return `<span class="period-total"><strong>${labels[index]}:</strong> ${formatNumberES(byPeriod[period])} kWh${differenceHTML}</span>`;
+  }).join('');
+  
+  const optionsHTML = `
+    <div class="supply-info-card period-options-card">
+      <div class="supply-info-header">
+        <h2>Festivos</h2>
+      </div>
+      <div class="period-options-content">
+        <label class="toggle-option">
+          <input type="checkbox" id="regionalHolidaysToggle" ${enabled ? 'checked' : ''} ${community ? '' : 'disabled'}>
+          ${community
+            ? `Tratar también los festivos autonómicos de ${communityName} como ${labels[labels.length - 1]}`
+            : 'No se ha podido determinar la comunidad autónoma del suministro'}
+        </label>
+        <p class="option-help">La tarifa regulada sólo considera los festivos nacionales. Algunos comparadores y comercializadoras también aplican los autonómicos.</p>
+        <div class="period-totals">${totalsHTML}</div>
+      </div>
+    </div>
+  `;
+  
+  supplyInfoCard.insertAdjacentHTML('afterend', optionsHTML);
+  
+  document.getElementById('regionalHolidaysToggle').addEventListener('change', event => {
+    setPreference(PREFERENCE_KEYS.regionalHolidays, event.target.checked);
+    onChange();
+  });
+}
+
+/**
+ * Render the dashboard with consumption data
+ * @param {Array} data - Raw consumption data
+ * @param {string} addressInfo - Address information for the supply
+ * @param {string} cups - CUPS for the supply
+ * @param {Object} contractDetails - Contract details with p1 and p2 values
+ * @param {Object|null} maxPowerByMonth - Peaks from summarizeMaxPower, if available
+ */
+function renderDashboard(data, addressInfo, cups, contractDetails, maxPowerByMonth = null) {
+  // Clear the login form and show the dashboard
+  document.getElementById('login-container').style.display = 'none';
+  const dashboardContainer = document.getElementById('dashboard-container');
+  dashboardContainer.style.display = 'block';
+  
+  // Render the consumption table with supply information
+  renderConsumptionTable(data, addressInfo, cups, contractDetails, maxPowerByMonth);
+  
+  renderLoadShiftSimulator(data, displayedData => {
+    const tableSection = document.querySelector('#table-container .consumption-table-section');
+    renderConsumptionTableSection(tableSection, displayedData, contractDetails, maxPowerByMonth);
+  });
+  
+  renderConsumptionCharts(data);
+  
+  if (maxPowerByMonth) {
+    renderPowerRecommendation(maxPowerByMonth, contractDetails, data.summaries.periods || getTariffPeriods());
+  }
+  
+  renderDashboardHeader();
+}
+
+/**
+ * Render the dashboard header with the user and logout button, once
+ */
+function renderDashboardHeader() {
+  // Check if header already exists before creating a new one
+  if (!document.querySelector('.dashboard-header')) {
+    // Create header with user and logout information
+    const headerHTML = `
+      <header class="dashboard-header">
+        <div class="header-content">
+          <h1>Tus Consumos Eléctricos</h1>
+          <div class="user-actions">
+            <span class="username">${sessionStorage.getItem('username') || ''}</span>
+            <button id="logoutBtn" class="logout-btn">Cerrar sesión</button>
+          </div>
+        </div>
+      </header>
+    `;
+    
+    // Insert header at the beginning of the body
+    document.body.insertAdjacentHTML('afterbegin', headerHTML);
+    
+    // Add event listener for logout
+    document.getElementById('logoutBtn').addEventListener('click', logout);
+  }
+}
+
+/**
+ * Render the supply selector in the dashboard header
+ * Only shown when the user has more than one supply.
+ * @param {Array<Object>} supplies - Supplies already fetched
+ * @param {string} selectedCups - CUPS being displayed
+ * @param {Object} actions - Selector actions
+ * @param {Function} actions.onSelect - Called with the CUPS of the chosen supply
+ * @param {Function} actions.onCompare - Open the comparison of several supplies
+ */
+function renderSupplySelector(supplies, selectedCups, actions) {
+  const { onSelect, onCompare } = actions;
+  document.querySelector('.supply-switcher')?.remove();
+  
+  const userActions = document.querySelector('.dashboard-header .user-actions');
+  if (!userActions || supplies.length < 2) return;
+  
+  userActions.insertAdjacentHTML('afterbegin', `
+    <div class="supply-switcher">
+      <label for="supplySelect">Suministro</label>
+      <select id="supplySelect">
+        ${supplies.map(supply => `
+          <option value="${escapeHtml(supply.cups)}" ${supply.cups === selectedCups ? 'selected' : ''}>
+            ${escapeHtml(supply.addressInfo || supply.address || supply.cups)}
+          </option>
+        `).join('')}
+      </select>
+      <button type="button" id="compareSuppliesBtn" class="range-btn">Comparar</button>
+    </div>
+  `);
+  
+  document.getElementById('supplySelect').addEventListener('change', event => {
+    onSelect(event.target.value);
+  });
+  document.getElementById('compareSuppliesBtn').addEventListener('click', onCompare);
+}
+
+/**
+ * Render the selector of whose supplies are consulted in the dashboard header
+ * Lists the user's own supplies and the authorized NIFs used before, which are
+ * remembered in this browser.
+ * @param {string|null} authorizedNif - NIF being consulted, or null for the user's own supplies
+ * @param {Function} onChange - Called with the chosen NIF, or null for the user's own supplies
+ */
+function renderAuthorizedNifSelector(authorizedNif, onChange) {
+  document.querySelector('.nif-switcher')?.remove();
+  
+  const userActions = document.querySelector('.dashboard-header .user-actions');
+  if (!userActions) return;
+  
+  const savedNifs = getPreference(PREFERENCE_KEYS.authorizedNifs, []);
+  const nifs = authorizedNif && !savedNifs.includes(authorizedNif) ? [...savedNifs, authorizedNif] : savedNifs;
+  
+  userActions.insertAdjacentHTML('afterbegin', `
+    <div class="supply-switcher nif-switcher">
+      <label for="authorizedNifSelect">Titular</label>
+      <select id="authorizedNifSelect">
+        <option value="" ${authorizedNif ? '' : 'selected'}>Mis suministros</option>
+        ${nifs.map(nif => `<option value="${nif}" ${nif === authorizedNif ? 'selected' : ''}>NIF ${nif}</option>`).join('')}
+        <option value="add">Añadir NIF autorizado…</option>
+        ${authorizedNif ? '<option value="remove">Quitar este NIF de la lista</option>' : ''}
+      </select>
+    </div>
+  `);
+  
+  const select = document.getElementById('authorizedNifSelect');
+  select.addEventListener('change', () => {
+    if (select.value === 'add') {
+      const nif = normalizeNif(prompt('NIF de la persona que te ha autorizado en Datadis:'));
+      if (!nif) {
+        select.value = authorizedNif || '';
+        return;
+      }
+      if (!isValidNif(nif)) {
+        alert(`${nif} no es un NIF válido.`);
+        select.value = authorizedNif || '';
+        return;
+      }
+      if (!savedNifs.includes(nif)) {
+        setPreference(PREFERENCE_KEYS.authorizedNifs, [...savedNifs, nif]);
+      }
+      onChange(nif);
+    } else if (select.value === 'remove') {
+      setPreference(PREFERENCE_KEYS.authorizedNifs, savedNifs.filter(nif => nif !== authorizedNif));
+      onChange(null);
+    } else {
+      onChange(select.value || null);
+    }
+  });
+}
+
+/**
+ * Escape text sent by Datadis before putting it in HTML markup
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a number using Spanish format (comma as decimal separator)
+ * @param {number} num - The number to format
+ * @param {number} decimals - Number of decimal places
+ * @returns {string} Formatted number
+ */
+function formatNumberES(num, decimals = 2) {
+  if (num === undefined || num === null) return '';
+  return num.toFixed(decimals).replace('.', ',');
+}
+
+/**
+ * Get the display labels of the energy periods
+ * 2.0TD keeps the Excel simulator names, 3.0TD uses the period names.
+ * @param {Array<string>} periods - Tariff periods
+ * @returns {Array<string>} Label per period
+ */
+function getEnergyPeriodLabels(periods) {
+  return periods.length === 6 ? periods : ['Punta', 'Llana', 'Valle'];
+}
+
+/**
+ * Render the consumption table
+ * @param {Object|Array} data - Processed data object or raw consumption data array
+ * @param {string} addressInfo - Address information for the supply
+ * @param {string} cups - CUPS for the supply
+ * @param {Object} contractDetails - Contract details with p1 and p2 values
+ * @param {Object|null} maxPowerByMonth - Peaks from summarizeMaxPower; no maxímetro rows if null
+ */
+function renderConsumptionTable(data, addressInfo = null, cups = null, contractDetails = null, maxPowerByMonth = null) {
+  const container = document.getElementById('table-container');
+  
+  // Debug logging
+  console.log('Rendering consumption table with:');
+  console.log('addressInfo:', addressInfo);
+  console.log('cups:', cups);
+  console.log('contractDetails:', contractDetails);
+  
+  // Create supply information section
+  const supplyInfoHTML = `
+    <div class="supply-info-card">
       <div class="supply-info-header">
         <h2>Información del Suministro</h2>
       </div>
       <div class="supply-info-content">
         <div class="supply-info-item">
           <span class="info-label">CUPS:</span>
-          <span class="info-value">${cups || 'No disponible'}</span>
+          <span class="info-value">${escapeHtml(cups || 'No disponible')}</span>
         </div>
         <div class="supply-info-item">
           <span class="info-label">Dirección:</span>
-          <span class="info-value">${addressInfo || 'No disponible'}</span>
+          <span class="info-value">${escapeHtml(addressInfo || 'No disponible')}</span>
         </div>
+        ${getContractInfoItems(contractDetails).map(item => `
+          <div class="supply-info-item">
+            <span class="info-label">${escapeHtml(item.label)}:</span>
+            <span class="info-value">${escapeHtml(item.value)}</span>
+          </div>
+        `).join('')}
       </div>
     </div>
   `;
@@ -480,21 +1499,80 @@ function renderConsumptionTable(data, addressInfo = null, cups = null, contractD
   // Add supply info before the table
   container.innerHTML = supplyInfoHTML;
   
-  
+  // The table has its own section, so the simulator can redraw it alone
+  const tableSection = document.createElement('div');
+  tableSection.className = 'consumption-table-section';
+  container.appendChild(tableSection);
+  renderConsumptionTableSection(tableSection, data, contractDetails, maxPowerByMonth);
+}
+
+/**
+ * Render the monthly table and its copy buttons
+ * @param {HTMLElement} section - Element that holds the table
+ * @param {Object} data - Processed data object, real or from simulateLoadShift
+ * @param {Object} contractDetails - Contract details with p1 and p2 values
+ * @param {Object|null} maxPowerByMonth - Peaks from summarizeMaxPower; no maxímetro rows if null
+ */
+function renderConsumptionTableSection(section, data, contractDetails = null, maxPowerByMonth = null) {
   // Extract monthly data from the processed data
   const { months, data: monthlyData } = data.summaries.byMonth;
+  const { simulation } = data.summaries;
   
   // Format months and prepare export payload from the same data source
   const formattedMonths = months.map(formatMonthShortLabel);
   const jsonExportData = buildJsonExportData(data, contractDetails);
 
+  // Row labels depend on the tariff: 2.0TD keeps the Excel simulator names
+  const periods = data.summaries.periods || getTariffPeriods();
+  const isSixPeriodTariff = periods.length === 6;
+  const energyLabels = getEnergyPeriodLabels(periods);
+  const powerLabels = isSixPeriodTariff ? periods : ['Punta', 'Valle'];
+  const monthlyPowers = getMonthlyContractedPowers(contractDetails, months, powerLabels.length);
+
+  const powerRowsHTML = powerLabels.map((label, index) => `
+      <tr class="power-section power-row">
+        ${index === 0 ? `<td class="row-group-header" rowspan="${powerLabels.length}">Potencia (kW)</td>` : ''}
+        <td class="row-label">${label}</td>
+        ${months.map(m => {
+          const power = monthlyPowers[m][index];
+          return `<td class="data-cell">${power ? formatNumberES(Number(power), 2) : ''}</td>`;
+        }).join('')}
+      </tr>`).join('');
+
+  // The maxímetro rows are left out of the copy for the Excel simulator
+  const maxPowerRowsHTML = maxPowerByMonth ? powerLabels.map((label, index) => `
+      <tr class="power-section max-power-row">
+        ${index === 0 ? `<td class="row-group-header" rowspan="${powerLabels.length}">Maxímetro (kW)</td>` : ''}
+        <td class="row-label">${label}</td>
+        ${months.map(m => {
+          const peak = maxPowerByMonth[m]?.[index];
+          if (!peak) return '<td class="data-cell"></td>';
+          const power = Number(monthlyPowers[m][index]);
+          const exceeded = power > 0 && peak.kW > power ? ' max-power-exceeded' : '';
+          return `<td class="data-cell${exceeded}" title="${formatContractDate(peak.date)} ${peak.time}">${formatNumberES(peak.kW, 2)}</td>`;
+        }).join('')}
+      </tr>`).join('') : '';
+
+  const energyRowsHTML = periods.map((period, index) => `
+      <tr class="energy-section consumption-row">
+        ${index === 0 ? `<td class="row-group-header" rowspan="${periods.length + 2}">Energía (kWh)</td>` : ''}
+        <td class="row-label">${energyLabels[index]}</td>
+        ${months.map(m => `<td class="data-cell">${formatNumberES(monthlyData[m][period])}</td>`).join('')}
+      </tr>`).join('');
+
+  // Simulated figures are flagged above the table, never inside the copied cells
+  const simulationHTML = simulation ? `
+    <p class="simulation-banner"><strong>Datos simulados:</strong> ${describeLoadShift(simulation.shares, periods)}. Pon los controles del simulador a 0 para volver a tus datos reales.</p>
+  ` : '';
+
   // Create table HTML structure using template literals for better readability
   const tableHTML = `
-    <table class="consumption-table">
+    ${simulationHTML}
+    <table class="consumption-table${simulation ? ' simulated' : ''}">
       <tr class="section-header facturas-row">
         <td></td>
         <td class="row-label">Facturas</td>
-        ${Array.from({length: 12}, (_, i) => `<td>${i+1}</td>`).join('')}
+        ${months.map((_, i) => `<td>${i+1}</td>`).join('')}
       </tr>
       <tr class="section-header description-row">
         <td></td>
@@ -506,32 +1584,13 @@ function renderConsumptionTable(data, addressInfo = null, cups = null, contractD
         <td class="row-label">Días</td>
         ${months.map(m => `<td class="data-cell">${monthlyData[m].days}</td>`).join('')}
       </tr>
-      <tr class="power-section power-row">
-        <td class="row-group-header" rowspan="2">Potencia (kW)</td>
-        <td class="row-label">Punta</td>
-        ${Array.from({length: 12}, () => `<td class="data-cell">${contractDetails?.p1 ? formatNumberES(contractDetails.p1, 2) : ''}</td>`).join('')}
-      </tr>
-      <tr class="power-section power-row">
-        <td class="row-label">Valle</td>
-        ${Array.from({length: 12}, () => `<td class="data-cell">${contractDetails?.p2 ? formatNumberES(contractDetails.p2, 2) : ''}</td>`).join('')}
-      </tr>
-      <tr class="energy-section consumption-row">
-        <td class="row-group-header" rowspan="5">Energía (kWh)</td>
-        <td class="row-label">Punta</td>
-        ${months.map(m => `<td class="data-cell">${formatNumberES(monthlyData[m].P1)}</td>`).join('')}
-      </tr>
-      <tr class="energy-section consumption-row">
-        <td class="row-label">Llana</td>
-        ${months.map(m => `<td class="data-cell">${formatNumberES(monthlyData[m].P2)}</td>`).join('')}
-      </tr>
-      <tr class="energy-section consumption-row">
-        <td class="row-label">Valle</td>
-        ${months.map(m => `<td class="data-cell">${formatNumberES(monthlyData[m].P3)}</td>`).join('')}
-      </tr>
+      ${powerRowsHTML}
+      ${maxPowerRowsHTML}
+      ${energyRowsHTML}
       <tr class="energy-section total-row">
         <td class="row-label">Suma (total)</td>
         ${months.map(m => {
-          const total = monthlyData[m].P1 + monthlyData[m].P2 + monthlyData[m].P3;
+          const total = periods.reduce((sum, period) => sum + monthlyData[m][period], 0);
           return `<td>${formatNumberES(total)}</td>`;
         }).join('')}
       </tr>
@@ -542,19 +1601,21 @@ function renderConsumptionTable(data, addressInfo = null, cups = null, contractD
     </table>
   `;
   
-  // Set the HTML to the container
-  container.innerHTML += tableHTML;
+  section.innerHTML = tableHTML;
   
   // Add buttons to copy table data to clipboard
-  addTableCopyButton(container, jsonExportData);
+  addTableCopyButton(section, jsonExportData, { simulated: Boolean(simulation) });
 }
 
 /**
  * Add buttons to copy table data to clipboard
  * @param {HTMLElement} container - The container element for the table
  * @param {Array<Object>} jsonExportData - JSON data built from processed source data
+ * @param {Object} options - Copy options
+ * @param {boolean} options.simulated - Whether the table shows simulated figures
  */
-function addTableCopyButton(container, jsonExportData = []) {
+function addTableCopyButton(container, jsonExportData = [], options = {}) {
+  const { simulated = false } = options;
   // Create a container for the buttons
   const buttonContainer = document.createElement('div');
   buttonContainer.className = 'copy-actions';
@@ -624,14 +1685,16 @@ function addTableCopyButton(container, jsonExportData = []) {
     buttonClass: 'copy-web-btn',
     icon: webIcon,
     onClick: () => {
-      copyWebComparatorJsonToClipboard(jsonExportData);
+      copyWebComparatorJsonToClipboard(jsonExportData, { simulated });
     }
   });
   copyWebButton.setAttribute('aria-label', 'Copiar Todo para Comparador Web');
   
   const copyInfo = document.createElement('p');
-  copyInfo.textContent = 'Copia los datos para pegarlos en los Simuladores de Tarifas de Carlos Codina';
-  copyInfo.className = 'copy-info';
+  copyInfo.textContent = simulated
+    ? 'Copia los datos simulados para pegarlos en los Simuladores de Tarifas de Carlos Codina'
+    : 'Copia los datos para pegarlos en los Simuladores de Tarifas de Carlos Codina';
+  copyInfo.className = simulated ? 'copy-info simulated' : 'copy-info';
   
   // Append buttons and info to the button container
   buttonContainer.appendChild(copyInfo);
@@ -677,8 +1740,10 @@ function copyTextToClipboard(text, successMessage) {
 /**
  * Copy web-export JSON payload to clipboard
  * @param {Array<Object>} exportData - JSON export payload
+ * @param {Object} options - Copy options
+ * @param {boolean} options.simulated - Whether the payload holds simulated figures
  */
-function copyWebComparatorJsonToClipboard(exportData) {
+function copyWebComparatorJsonToClipboard(exportData, options = {}) {
   if (!Array.isArray(exportData) || exportData.length === 0) {
     alert('No se pudieron preparar los datos del comparador web.');
     return;
@@ -686,7 +1751,7 @@ function copyWebComparatorJsonToClipboard(exportData) {
 
   copyTextToClipboard(
     JSON.stringify(exportData, null, 2),
-    'Datos copiados al portapapeles.\n\nPégalos como nombre de una nueva simulacion en:\nhttps://app.carloscodina.com/user/simulaciones '
+    (options.simulated ? SIMULATED_COPY_NOTE : '') + 'Datos copiados al portapapeles.\n\nPégalos como nombre de una nueva simulacion en:\nhttps://app.carloscodina.com/user/simulaciones '
   );
 }
 
@@ -700,6 +1765,9 @@ function copyTableToClipboard(table, mode = 'all') {
   const rows = table.rows;
   let csvContent = '';
   
+  // The "Descripción" row has one cell per month after the empty cell and its label
+  const monthCount = rows[1] ? rows[1].cells.length - 2 : 12;
+  
   // Find the rows to copy based on mode
   let rowsToProcess = [];
   
@@ -712,11 +1780,14 @@ function copyTableToClipboard(table, mode = 'all') {
       rowsToProcess = [excedentesRow];
     }
   } else {
-    // For 'all' mode, copy relevant rows (Descripción through Valle)
+    // For 'all' mode, copy relevant rows (Descripción through the last energy period)
     const startRow = 1; // "Descripción" row
-    const lastRow = 7;  // "Valle" row
+    const totalRow = Array.from(rows).findIndex(row =>
+      row.querySelector('.row-label')?.textContent.includes('Suma'));
+    const endRow = totalRow > startRow ? totalRow : 8; // Row after the last energy period
     
-    rowsToProcess = Array.from(rows).slice(startRow, lastRow + 1);
+    rowsToProcess = Array.from(rows).slice(startRow, endRow)
+      .filter(row => !row.classList?.contains('max-power-row'));
   }
   
   // Process each row to extract data
@@ -726,7 +1797,7 @@ function copyTableToClipboard(table, mode = 'all') {
     
     // Skip the first two columns (empty cell and row label)
     // Account for rowspan by checking the actual cell count
-    const startIdx = cells.length > 13 ? 2 : 1;
+    const startIdx = Math.max(cells.length - monthCount, 0);
     
     for (let j = startIdx; j < cells.length; j++) {
       // Get the text content with Spanish number format
@@ -743,7 +1814,9 @@ function copyTableToClipboard(table, mode = 'all') {
     ? 'Datos de excedentes copiados al portapapeles.\nPégalos en la celda D-16 del Simulador de Tarifas Excel.\n\nDescarga la última versión del Simulador en:\nhttps://app.carloscodina.com/user/perfil'
     : 'Datos copiados al portapapeles.\nPégalos en la celda D-8 del Simulador de Tarifas Excel.\n\nDescarga la última versión del Simulador en:\nhttps://app.carloscodina.com/user/perfil';
 
-  copyTextToClipboard(csvContent, message);
+  // The table is marked as simulated by the load-shifting simulator
+  const simulated = Boolean(table.classList?.contains('simulated'));
+  copyTextToClipboard(csvContent, (simulated ? SIMULATED_COPY_NOTE : '') + message);
 }
 
 /**
@@ -767,9 +1840,16 @@ function showLoginForm() {
           <label for="password">Contraseña</label>
           <input type="password" id="password" required placeholder="Introduce tu contraseña" autocomplete="current-password">
         </div>
+        <div class="form-group form-check">
+          <label for="quarterHourly">
+            <input type="checkbox" id="quarterHourly" ${getPreference(PREFERENCE_KEYS.measurementType, MEASUREMENT_TYPES.hourly) === MEASUREMENT_TYPES.quarterHourly ? 'checked' : ''}>
+            Descargar la curva cuartohoraria (cada 15 minutos, sólo contadores que la registran)
+          </label>
+        </div>
         <div id="login-error" class="error-message"></div>
         <button type="submit" class="login-btn">Acceder</button>
       </form>
+      <button type="button" id="offlineDataBtn" class="offline-btn" hidden>Ver datos guardados</button>
       <div class="privacy-notice">
         <p><em>Esta página accede de forma cifrada a la API de Datadis desde tu navegador. No se almacenan ni tus credenciales, ni tus datos de consumo en ningun sitio que no sea tu propio navegador.</em></p>
       </div>
@@ -790,6 +1870,13 @@ function showLoginForm() {
   // Show login, hide dashboard
   loginContainer.style.display = 'flex';
   dashboardContainer.style.display = 'none';
+  
+  // Offer the cached data when there is any, e.g. if Datadis is down
+  const offlineDataBtn = document.getElementById('offlineDataBtn');
+  offlineDataBtn.addEventListener('click', showOfflineSupplies);
+  listCachedSupplies().then(cachedSupplies => {
+    offlineDataBtn.hidden = cachedSupplies.length === 0;
+  });
 }
 
 /**
@@ -885,20 +1972,64 @@ function hideLoadingSpinner() {
   }
 }
 
+/**
+ * Tell the user when they can query Datadis again after a rate limit
+ * @param {Date|null} retryAfter - Time given by Datadis, if any
+ * @param {Date} now - Reference date
+ * @returns {string} - Sentence in Spanish
+ */
+function describeRetryAfter(retryAfter, now = new Date()) {
+  if (!retryAfter || retryAfter <= now) {
+    return 'Por favor, inténtalo de nuevo mañana.';
+  }
+  return `Podrás volver a intentarlo a partir del ${retryAfter.toLocaleString()} (${formatRelativeTime(retryAfter, now)}).`;
+}
+
+/**
+ * Explain a data loading error to the user
+ * @param {Error} error - The error object
+ * @returns {string} - Explanation in Spanish
+ */
+function describeLoadError(error) {
+  const apiError = getApiError(error);
+  
+  if (isRateLimitError(error)) {
+    return 'La API de Datadis sólo permite un número limitado de consultas por día y no hay datos guardados para este periodo. ' +
+      describeRetryAfter(apiError.retryAfter);
+  }
+  if (isNetworkFailure(error)) {
+    return 'No se ha podido conectar con Datadis. Comprueba tu conexión a internet y vuelve a intentarlo.';
+  }
+  if (apiError && apiError.status >= 500) {
+    return `Datadis o la distribuidora no responden en este momento (error ${apiError.status}). Suele ser temporal: vuelve a intentarlo en unos minutos.`;
+  }
+  if (apiError) {
+    return `Datadis ha rechazado la consulta (error ${apiError.status}).`;
+  }
+  return error.message;
+}
+
 /**
  * Display a notification about using cached data
  * @param {Date} cacheDate - The date when the data was cached
  * @param {string} addressInfo - The address information for the supply
+ * @param {Object} options - Notification options
+ * @param {boolean} options.offline - The data is being browsed without logging in
+ * @param {Date|null} options.retryAfter - When Datadis can be queried again, if known
  */
-function showCacheNotification(cacheDate, addressInfo = '') {
-  const formattedDate = cacheDate.toLocaleString();
+function showCacheNotification(cacheDate, addressInfo = '', options = {}) {
+  const formattedDate = `${cacheDate.toLocaleString()} (${formatRelativeTime(cacheDate)})`;
   const addressDisplay = addressInfo ? `<p><strong>Suministro:</strong> ${addressInfo}</p>` : '';
+  const reason = options.offline
+    ? 'Estás consultando los datos guardados en este navegador, sin conectar con Datadis.'
+    : 'Datadis limita el número de peticiones por día.';
   
   const notificationHTML = `
     <div id="cacheNotification" class="notification">
       <div class="notification-content">
-        <p><strong>Aviso:</strong> Datadis limita el número de peticiones por día.</p>
-        <p>Por ello, se mostrarán datos guardados del ${formattedDate}.</p>
+        <p><strong>Aviso:</strong> ${reason}</p>
+        <p>Se muestran datos guardados del ${formattedDate}.</p>
+        ${options.retryAfter ? `<p>${describeRetryAfter(options.retryAfter)}</p>` : ''}
         <button id="closeNotification" class="close-btn">×</button>
         ${addressDisplay}
       </div>
@@ -942,9 +2073,21 @@ function showCacheNotification(cacheDate, addressInfo = '') {
 /**
  * Display a modal for the user to select a supply
  * @param {Array} supplies - List of supplies
- * @returns {Promise<Object>} - Selected supply data
+ * @param {Object} options - Modal options
+ * @param {string} options.title - Modal title
+ * @param {string} options.message - Text above the list
+ * @param {Function} options.getDetail - Returns extra text shown under each supply
+ * @param {boolean} options.cancelable - Show a button to close the modal without choosing
+ * @returns {Promise<Object|null>} - Selected supply data, or null if cancelled
  */
-function showSupplySelectionModal(supplies) {
+function showSupplySelectionModal(supplies, options = {}) {
+  const {
+    title = 'Selecciona un suministro',
+    message = 'Se han encontrado varios suministros. Por favor, selecciona uno:',
+    getDetail = null,
+    cancelable = false
+  } = options;
+
   return new Promise((resolve) => {
     // First, remove any existing modal overlays
     const existingOverlay = document.querySelector('.modal-overlay');
@@ -956,15 +2099,17 @@ function showSupplySelectionModal(supplies) {
     const modalHTML = `
       <div class="modal-overlay">
         <div class="modal-content">
-          <h2>Selecciona un suministro</h2>
-          <p>Se han encontrado varios suministros. Por favor, selecciona uno:</p>
+          <h2>${title}</h2>
+          <p>${message}</p>
           <div class="supply-list">
             ${supplies.map((supply, index) => `
               <button class="supply-item" data-supply-index="${index}">
                 <strong>${supply.cups}</strong> (${supply.addressInfo || supply.address || 'Sin dirección'})
+                ${getDetail ? `<span class="supply-item-detail">${getDetail(supply)}</span>` : ''}
               </button>
             `).join('')}
           </div>
+          ${cancelable ? '<button type="button" class="modal-cancel-btn">Volver</button>' : ''}
         </div>
       </div>
     `;
@@ -988,109 +2133,122 @@ function showSupplySelectionModal(supplies) {
         resolve(selectedSupply);
       });
     });
+    
+    document.querySelector('.modal-cancel-btn')?.addEventListener('click', () => {
+      document.body.removeChild(document.querySelector('.modal-overlay'));
+      resolve(null);
+    });
   });
 }
 
 /**
- * Fetch data from the API using the provided auth token
+ * Fetch the supplies of every distributor of the user, or of a NIF that authorized them
  * @param {string} authToken - The authorization token
- * @param {boolean} showSpinner - Whether to show a new loading spinner
+ * @param {string|null} authorizedNif - NIF that authorized the user; null for the user's own supplies
+ * @returns {Promise<Object>} - { supplies, distributorErrors, authorizedNif }
  */
-async function fetchFreshData(authToken, showSpinner = true) {
-  console.log('Fetching data using auth token');
-  
-  // Only show a new spinner if requested (not when called from login)
-  if (showSpinner) {
-    showLoadingSpinner();
+async function fetchSupplyList(authToken, authorizedNif = null) {
+  updateLoadingMessage('Obteniendo distribuidoras...');
+  const distributorCodesResponse = await getDistributorsWithSupplies(authToken, authorizedNif);
+  const distributorCodes = Array.isArray(distributorCodesResponse)
+    ? distributorCodesResponse
+    : [distributorCodesResponse].filter(Boolean);
+
+  if (distributorCodes.length === 0) {
+    throw new Error('No se encontraron distribuidoras con suministros.');
   }
+
+  console.log('Distributor codes:', distributorCodes);
   
-  try {
-    // Set date range based on configuration
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - CONFIG.monthsToFetch);
-    
-    const measurementType = 0;
-    
-    // API flow to get all the required data
-    updateLoadingMessage('Obteniendo distribuidoras...');
-    const distributorCodesResponse = await getDistributorsWithSupplies(authToken);
-    const distributorCodes = Array.isArray(distributorCodesResponse)
-      ? distributorCodesResponse
-      : [distributorCodesResponse].filter(Boolean);
-
-    if (distributorCodes.length === 0) {
-      throw new Error('No se encontraron distribuidoras con suministros.');
+  // Get supplies for each distributor independently and merge results.
+  updateLoadingMessage('Obteniendo puntos de suministro...');
+  const mergedSupplies = [];
+  const distributorErrors = [];
+
+  for (let index = 0; index < distributorCodes.length; index++) {
+    const distributorCode = distributorCodes[index];
+    if (distributorCodes.length > 1) {
+      updateLoadingMessage(`Obteniendo puntos de suministro (${index + 1}/${distributorCodes.length})...`);
     }
 
-    console.log('Distributor codes:', distributorCodes);
-    
-    // Get supplies for each distributor independently and merge results.
-    updateLoadingMessage('Obteniendo puntos de suministro...');
-    const mergedSupplies = [];
-
-    for (let index = 0; index < distributorCodes.length; index++) {
-      const distributorCode = distributorCodes[index];
-      if (distributorCodes.length > 1) {
-        updateLoadingMessage(`Obteniendo puntos de suministro (${index + 1}/${distributorCodes.length})...`);
-      }
+    const suppliesResult = await getSuppliesData(authToken, distributorCode, authorizedNif);
+    mergedSupplies.push(...suppliesResult.supplies);
+    distributorErrors.push(...suppliesResult.distributorErrors);
+  }
 
-      const suppliesResult = await getSuppliesData(authToken, distributorCode);
-      if (Array.isArray(suppliesResult)) {
-        mergedSupplies.push(...suppliesResult);
-      }
-    }
+  const uniqueSupplies = Array.from(
+    new Map(
+      mergedSupplies.map(supply => [
+        `${supply.distributorCode}-${supply.cups}`,
+        supply
+      ])
+    ).values()
+  );
 
-    const uniqueSupplies = Array.from(
-      new Map(
-        mergedSupplies.map(supply => [
-          `${supply.distributorCode}-${supply.cups}`,
-          supply
-        ])
-      ).values()
-    );
+  if (uniqueSupplies.length === 0) {
+    const explanation = groupDistributorErrors(distributorErrors)
+      .map(warning => `\n\n${warning.distributors.join(', ')}: ${warning.message}`)
+      .join('');
+    throw new Error('No se encontraron puntos de suministro para las distribuidoras disponibles.' + explanation);
+  }
 
-    if (uniqueSupplies.length === 0) {
-      throw new Error('No se encontraron puntos de suministro para las distribuidoras disponibles.');
-    }
+  return { supplies: uniqueSupplies, distributorErrors, authorizedNif };
+}
 
-    // If multiple supplies returned, show selection modal
-    let supplyData;
-    if (uniqueSupplies.length > 1) {
-      hideLoadingSpinner(); // Hide spinner during selection
-      supplyData = await showSupplySelectionModal(uniqueSupplies);
-      // Create a new spinner after the modal is closed
-      showLoadingSpinner('Procesando suministro seleccionado...');
-    } else {
-      supplyData = uniqueSupplies[0];
-    }
-    
-    console.log('Selected supply cups:', supplyData.cups);
-    console.log('Selected supply addressInfo:', supplyData.addressInfo);
-    
-    // Get contract details
-    updateLoadingMessage('Obteniendo detalles del contrato...');
-    const contractCacheKey = createContractCacheKey(supplyData.cups, supplyData.distributorCode);
-    let contractDetails;
-    
+/**
+ * Load the contract and consumption of a supply, reusing the cache when possible
+ * Months that can't be downloaded fall back to the cache, even if it has expired.
+ * @param {string} authToken - The authorization token
+ * @param {Object} supplyData - Supply to load
+ * @param {Object} options - Load options
+ * @param {Object} options.dateRange - Months to load ({ startMonth, endMonth } as "YYYY/MM")
+ * @param {number} options.measurementType - 0 (hourly) or 1 (quarter-hourly)
+ * @param {boolean} options.forceRefresh - Download every month again, even if cached
+ * @param {boolean} options.includeMaxPower - Also load the maxímetro peaks (maxPowerData is null otherwise)
+ * @returns {Promise<Object>} - { contractDetails, consumptionData, maxPowerData, unavailableMonths, fallbackTimestamps, fetchError }
+ */
+async function loadSupplyData(authToken, supplyData, options) {
+  const { dateRange, measurementType, forceRefresh = false, includeMaxPower = true } = options;
+  const startDate = monthKeyToDate(dateRange.startMonth);
+  const endDate = monthKeyToDate(dateRange.endMonth);
+  
+  // Supplies of authorized NIFs are cached apart from the user's own
+  const cacheId = getSupplyCacheId(supplyData);
+  const authorizedNif = supplyData.authorizedNif || null;
+  
+  // Keep the supply so its cached data can be browsed offline
+  await setCache(createSupplyCacheKey(cacheId), supplyData, CONFIG.completeMonthCacheHours);
+  
+  // Get contract details
+  updateLoadingMessage('Obteniendo detalles del contrato...');
+  const contractCacheKey = createContractCacheKey(cacheId, supplyData.distributorCode);
+  // The contract rarely changes, so a cached copy is used until it expires.
+  // Expired copies are kept as a fallback for rate limits
+  const cachedContract = await getCacheItem(contractCacheKey, { includeExpired: true });
+  const isContractFresh = cachedContract && cachedContract.expires > Date.now();
+  let contractDetails = isContractFresh && !forceRefresh ? cachedContract.data : null;
+  
+  if (contractDetails) {
+    console.log('Using cached contract details');
+  } else {
     try {
       contractDetails = await getContractDetail(
         authToken, 
         supplyData.cups, 
         supplyData.distributorCode,
-        supplyData.addressInfo
+        supplyData.addressInfo,
+        authorizedNif
       );
       
       // Cache contract details on successful API response
-      setCache(contractCacheKey, contractDetails, 48); // 48 hours expiration
+      await setCache(contractCacheKey, contractDetails, 48); // 48 hours expiration
     } catch (error) {
       // Check if this is a 429 rate limit error
-      if (error.message && error.message.includes('429')) {
-        // Try to use cached contract data
-        const cachedContract = getCache(contractCacheKey);
+      if (isRateLimitError(error)) {
+        // Try to use cached contract data, even if it has expired
         if (cachedContract) {
           console.log('Using cached contract details due to rate limit');
-          contractDetails = cachedContract;
+          contractDetails = cachedContract.data;
         } else {
           // Rethrow if no cached data is available
           throw error;
@@ -1100,26 +2258,35 @@ async function fetchFreshData(authToken, showSpinner = true) {
         throw error;
       }
     }
-    
-    console.log('Contratada P1:', contractDetails.p1);
-    console.log('Contratada P2:', contractDetails.p2);
-    
-    // Get consumption data
-    updateLoadingMessage('Descargando datos de consumo (esto puede tardar unos minutos)...');
-    const consumptionCacheKey = createConsumptionCacheKey(
-      supplyData.cups, 
-      startDate, 
-      endDate, 
-      measurementType, 
-      supplyData.pointType
-    );
-    
-    let consumptionData;
-    let dataFromCache = false;
+  }
+  
+  console.log('Contratada P1:', contractDetails.p1);
+  console.log('Contratada P2:', contractDetails.p2);
+  
+  // Get consumption data, reusing the months already cached
+  updateLoadingMessage('Comprobando datos guardados...');
+  const { cachedMonths, cacheTimestamps, missingMonths: uncachedMonths } = await getCachedConsumptionMonths(
+    cacheId,
+    startDate,
+    endDate,
+    measurementType,
+    supplyData.pointType
+  );
+  // A forced refresh downloads every month again, keeping the cache only as a fallback
+  const missingMonths = forceRefresh
+    ? splitMonthRange(startDate, endDate).map(month => month.startDate)
+    : uncachedMonths;
+  
+  const fetchedData = [];
+  const fetchedMonthKeys = new Set();
+  let fetchError = null;
+  
+  if (missingMonths.length > 0) {
+    updateLoadingMessage('Descargando datos de consumo...');
+    const chunkLabel = CONFIG.consumptionChunkMonths === 1 ? 'mes' : 'bloque';
     
     try {
-      // Try to get data from API first
-      const apiResponse = await getConsumptionData(
+      await getConsumptionDataInChunks(
         authToken, 
         supplyData.cups, 
         supplyData.distributorCode, 
@@ -1127,64 +2294,203 @@ async function fetchFreshData(authToken, showSpinner = true) {
         endDate,
         measurementType,
         supplyData.pointType,
-        supplyData.addressInfo
+        supplyData.addressInfo,
+        {
+          chunks: buildMonthChunks(missingMonths, CONFIG.consumptionChunkMonths),
+          authorizedNif,
+          onProgress: async ({ completed, total, chunk, data }) => {
+            // Cache each chunk as soon as it arrives, so a later failure doesn't waste it
+            const chunkMonths = splitMonthRange(chunk.startDate, chunk.endDate).map(month => month.startDate);
+            await cacheConsumptionMonths(data, chunkMonths, cacheId, measurementType, supplyData.pointType);
+            chunkMonths.forEach(month => fetchedMonthKeys.add(toMonthKey(month)));
+            fetchedData.push(...data);
+            updateLoadingMessage(`Descargando datos de consumo (${chunkLabel} ${completed}/${total})...`);
+          }
+        }
       );
-      
-      // Cache successful API responses
-      if (Array.isArray(apiResponse)) {
-        setCache(consumptionCacheKey, apiResponse);
-        consumptionData = apiResponse;
-      } else if (apiResponse && Array.isArray(apiResponse.timeCurve)) {
-        setCache(consumptionCacheKey, apiResponse.timeCurve);
-        consumptionData = apiResponse.timeCurve;
-      } else {
-        console.warn('Unexpected consumption data format:', apiResponse);
-        throw new Error('Los datos recibidos tienen un formato inesperado');
-      }
     } catch (error) {
-      // Check if this is a 429 rate limit error
-      if (error.message && (error.message.includes('429') || error.message.includes('Rate limit'))) {
-        // Try to use cached data
-        const cachedData = getCache(consumptionCacheKey);
-        if (cachedData) {
-          console.log('Using cached consumption data due to rate limit');
-          consumptionData = cachedData;
-          dataFromCache = true;
-        } else {
-          // Rethrow if no cached data is available
-          throw error;
-        }
+      if (Array.isArray(error.partialData)) {
+        // Some chunks kept failing: keep the months that did arrive
+        console.warn('Some consumption months could not be downloaded:', error);
+        fetchError = error;
+      } else if (isRateLimitError(error)) {
+        // Fall back to whatever is cached for the months still missing
+        console.log('Using cached consumption data due to rate limit');
+        fetchError = error;
       } else {
         // Rethrow other errors
         throw error;
       }
     }
+  } else {
+    console.log('All consumption months found in cache');
+  }
+  
+  // Merge fetched and cached months in order
+  const failedMonthKeys = new Set(
+    missingMonths.map(toMonthKey).filter(monthKey => !fetchedMonthKeys.has(monthKey))
+  );
+  const fetchedByMonth = groupReadingsByMonth(fetchedData);
+  const consumptionData = [];
+  const unavailableMonths = [];
+  const fallbackTimestamps = [];
+  
+  for (const { startDate: month } of splitMonthRange(startDate, endDate)) {
+    const monthKey = toMonthKey(month);
+    if (failedMonthKeys.has(monthKey)) {
+      if (cachedMonths.has(monthKey)) {
+        consumptionData.push(...cachedMonths.get(monthKey));
+        fallbackTimestamps.push(cacheTimestamps.get(monthKey));
+      } else {
+        unavailableMonths.push(monthKey);
+      }
+    } else if (fetchedMonthKeys.has(monthKey)) {
+      consumptionData.push(...(fetchedByMonth.get(monthKey) || []));
+    } else {
+      consumptionData.push(...cachedMonths.get(monthKey));
+    }
+  }
+  
+  if (fetchError && consumptionData.length === 0) {
+    // Nothing fetched and nothing cached to fall back to
+    throw fetchError;
+  }
+  
+  const maxPowerData = includeMaxPower
+    ? await loadMaxPowerData(authToken, supplyData, dateRange, forceRefresh)
+    : null;
+
+  return { contractDetails, consumptionData, maxPowerData, unavailableMonths, fallbackTimestamps, fetchError };
+}
+
+/**
+ * Fetch data from the API using the provided auth token
+ * @param {string} authToken - The authorization token
+ * @param {boolean} showSpinner - Whether to show a new loading spinner
+ * @param {Object} options - Fetch options
+ * @param {string} options.cups - CUPS to load directly, skipping the supply selection
+ * @param {boolean} options.forceRefresh - Download every month again, even if cached
+ * @param {Object} options.supplyList - Supplies already fetched, as returned by fetchSupplyList
+ *   (fetched again if they belong to another NIF than the one consulted)
+ */
+async function fetchFreshData(authToken, showSpinner = true, options = {}) {
+  console.log('Fetching data using auth token');
+  
+  // Only show a new spinner if requested (not when called from login)
+  if (showSpinner) {
+    showLoadingSpinner();
+  }
+  
+  // Known outside the try block, so an error card can offer them again
+  let supplyList = options.supplyList || null;
+  let supplyData = null;
+  
+  // Supplies of the user, or of the NIF that authorized them
+  const authorizedNif = getAuthorizedNif();
+  const onAuthorizedNifChange = nif => {
+    setAuthorizedNif(nif);
+    fetchFreshData(authToken, true);
+  };
+  
+  try {
+    // Set date range based on the user's selection (last 12 months by default)
+    const dateRange = getSelectedDateRange();
+    const measurementType = getPreference(PREFERENCE_KEYS.measurementType, MEASUREMENT_TYPES.hourly);
+    
+    // Reuse the supplies already fetched when switching between them
+    if (!supplyList || supplyList.authorizedNif !== authorizedNif) {
+      supplyList = await fetchSupplyList(authToken, authorizedNif);
+    }
+    const { supplies: uniqueSupplies, distributorErrors } = supplyList;
+
+    // If multiple supplies returned, show selection modal unless one was already chosen
+    supplyData = options.cups
+      ? uniqueSupplies.find(supply => supply.cups === options.cups)
+      : null;
+    if (supplyData) {
+      console.log('Reusing previously selected supply');
+    } else if (uniqueSupplies.length > 1) {
+      hideLoadingSpinner(); // Hide spinner during selection
+      supplyData = await showSupplySelectionModal(uniqueSupplies);
+      // Create a new spinner after the modal is closed
+      showLoadingSpinner('Procesando suministro seleccionado...');
+    } else {
+      supplyData = uniqueSupplies[0];
+    }
+    
+    console.log('Selected supply cups:', supplyData.cups);
+    console.log('Selected supply addressInfo:', supplyData.addressInfo);
+    
+    const { contractDetails, consumptionData, maxPowerData, unavailableMonths, fallbackTimestamps, fetchError } = await loadSupplyData(
+      authToken,
+      supplyData,
+      { dateRange, measurementType, forceRefresh: options.forceRefresh }
+    );
     
-    // If using cached data, show notification
-    if (dataFromCache) {
-      showCacheNotification(new Date(), supplyData.addressInfo);
+    // If using cached data, show notification with the age of the oldest month shown
+    if (fallbackTimestamps.length > 0) {
+      showCacheNotification(new Date(Math.min(...fallbackTimestamps)), supplyData.addressInfo, {
+        retryAfter: getApiError(fetchError)?.retryAfter
+      });
     }
     
     // Process the data and display on dashboard
     console.log('Processing consumption data, length:', consumptionData.length);
-    processAndDisplayData(consumptionData, contractDetails);
+    processAndDisplayData(consumptionData, contractDetails, supplyData, {
+      measurementType,
+      dateRange,
+      onDateRangeChange: newRange => {
+        setPreference(PREFERENCE_KEYS.dateRange, newRange);
+        fetchFreshData(authToken, true, { cups: supplyData.cups, supplyList });
+      },
+      onCacheRefresh: cacheId => {
+        // The supply may belong to another NIF; its list is fetched then
+        const { cups, authorizedNif: owner } = parseSupplyCacheId(cacheId);
+        setAuthorizedNif(owner);
+        fetchFreshData(authToken, true, { cups, forceRefresh: true, supplyList });
+      },
+      distributorErrors: [...distributorErrors, ...(contractDetails.distributorErrors || [])],
+      maxPowerData
+    });
+    
+    renderSupplySelector(uniqueSupplies, supplyData.cups, {
+      onSelect: cups => {
+        fetchFreshData(authToken, true, { cups, supplyList });
+      },
+      onCompare: () => {
+        compareSupplies(authToken, supplyList, supplyData.cups);
+      }
+    });
+    renderAuthorizedNifSelector(authorizedNif, onAuthorizedNifChange);
     
     // Show the dashboard when data is loaded but skip further data loading
     showDashboard(true); // Pass true to prevent recursive data loading
     
+    if (unavailableMonths.length > 0) {
+      alert(`No se han podido descargar los datos de consumo de: ${unavailableMonths.join(', ')}.\n\nSe muestran el resto de meses. Vuelve a cargar el periodo más tarde para completarlo.`);
+    }
+    
   } catch (error) {
     console.error('Error fetching data:', error);
     
-    // Handle different error types
-    if (error.message && (error.message.includes('authentication') || error.message.includes('401'))) {
+    // Only an expired session needs a new login; anything else keeps the session
+    if (isAuthError(error)) {
       alert('Tu sesión ha expirado. Por favor, inicia sesión de nuevo.');
       logout(); // Force logout on authentication errors
-    } else if (error.message && (error.message.includes('Rate limit') || error.message.includes('429'))) {
-      alert('La API de Datadis sólo permite un número limitado de consultas por día.\n\nPor favor, inténtalo de nuevo mañana.');
-      logout(); // Force logout when rate limit is reached and there is no cached data
     } else {
-      alert('Ha ocurrido un error al intentar cargar tus datos:\n\n' + error.message);
-      logout();
+      const selectedCups = supplyData?.cups;
+      const supplies = supplyList?.supplies || [];
+      renderErrorCard(error, {
+        onRetry: () => fetchFreshData(authToken, true, { cups: selectedCups, supplyList }),
+        onPickSupply: supplies.length > 1
+          ? async () => {
+            const selected = await showSupplySelectionModal(supplies, { cancelable: true });
+            if (selected) fetchFreshData(authToken, true, { cups: selected.cups, supplyList });
+          }
+          : null
+      });
+      // Switching to another NIF is still possible, e.g. if this one has no supplies
+      renderAuthorizedNifSelector(authorizedNif, onAuthorizedNifChange);
     }
   } finally {
     // Always ensure the spinner is hidden
@@ -1192,6 +2498,818 @@ async function fetchFreshData(authToken, showSpinner = true) {
   }
 }
 
+/**
+ * CONSUMPTION CHARTS
+ * ==================
+ */
+
+/**
+ * Add up the readings of each day of a month
+ * @param {Array<Object>} enrichedData - Readings from enrichData
+ * @param {string} monthKey - Month ("YYYY/MM")
+ * @param {Array<string>} periods - Tariff periods
+ * @returns {Array<Object>} Days in order, each with date, one total per period and surplusEnergyKWh
+ */
+function buildDailyTotals(enrichedData, monthKey, periods) {
+  const days = new Map();
+  enrichedData.forEach(entry => {
+    if (!entry?.period || !String(entry.date).startsWith(`${monthKey}/`)) return;
+    if (!days.has(entry.date)) {
+      days.set(entry.date, { date: entry.date, ...createEmptyMonthEntry(periods) });
+    }
+    const day = days.get(entry.date);
+    day[entry.period] += entry.consumptionKWh;
+    day.surplusEnergyKWh += entry.surplusEnergyKWh;
+  });
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get the readings of a day, in the order Datadis sent them
+ * @param {Array<Object>} enrichedData - Readings from enrichData
+ * @param {string} date - Day ("YYYY/MM/DD")
+ * @returns {Array<Object>} Readings with time, period, consumptionKWh and surplusEnergyKWh
+ */
+function buildDayCurve(enrichedData, date) {
+  return enrichedData
+    .filter(entry => entry?.period && entry.date === date)
+    .map(({ time, period, consumptionKWh, surplusEnergyKWh }) => ({ time, period, consumptionKWh, surplusEnergyKWh }));
+}
+
+/**
+ * Render the consumption charts: months, then the days of a month, then the curve of a day
+ * @param {Object} processedData - Processed data from processConsumptionData
+ */
+function renderConsumptionCharts(processedData) {
+  const { enrichedData, summaries } = processedData;
+  if (enrichedData.length === 0) return;
+  
+  const { periods, byMonth } = summaries;
+  const labels = getEnergyPeriodLabels(periods);
+  const hasSurplus = enrichedData.some(entry => entry?.surplusEnergyKWh > 0);
+  const getPeriodClass = period => `chart-${period.toLowerCase()}`;
+  const formatAxisValue = value => formatNumberES(value, Number.isInteger(value) ? 0 : 2);
+  
+  // Tooltip text with the energy of every period
+  const describeEntry = (title, entry) => [
+    title,
+    ...periods.map((period, index) => `${labels[index]}: ${formatNumberES(entry[period])} kWh`),
+    ...(hasSurplus ? [`Excedentes: ${formatNumberES(entry.surplusEnergyKWh)} kWh`] : [])
+  ].join('\n');
+  const toBar = (label, title, entry) => ({
+    label,
+    title: describeEntry(title, entry),
+    segments: periods.map(period => ({ value: entry[period], className: getPeriodClass(period) })),
+    side: hasSurplus ? { value: entry.surplusEnergyKWh, className: 'chart-surplus' } : null,
+    selectable: periods.some(period => entry[period] > 0) || entry.surplusEnergyKWh > 0
+  });
+  
+  const legendHTML = [
+    ...periods.map((period, index) => `<span class="chart-legend-item"><span class="chart-swatch ${getPeriodClass(period)}"></span>${labels[index]}</span>`),
+    ...(hasSurplus ? ['<span class="chart-legend-item"><span class="chart-swatch chart-surplus"></span>Excedentes</span>'] : [])
+  ].join('');
+  
+  const container = document.getElementById('table-container');
+  container.insertAdjacentHTML('beforeend', `
+    <div class="supply-info-card period-options-card chart-card">
+      <div class="supply-info-header">
+        <h2>Gráficas</h2>
+      </div>
+      <div class="period-options-content">
+        <nav class="chart-breadcrumb" aria-label="Nivel de la gráfica"></nav>
+        <div class="chart-container"></div>
+        <div class="chart-legend">${legendHTML}</div>
+        <p class="option-help">Pulsa en un mes para ver sus días, y en un día para ver su curva.</p>
+      </div>
+    </div>
+  `);
+  const card = container.lastElementChild;
+  
+  // What is being shown, and what each selectable bar leads to
+  const state = { month: null, date: null };
+  let selections = [];
+  let crumbs = [];
+  
+  const draw = () => {
+    crumbs = [{ label: 'Meses', month: null, date: null }];
+    let chartHTML;
+    
+    if (state.date) {
+      crumbs.push({ label: formatMonthDisplay(state.month), month: state.month, date: null });
+      crumbs.push({ label: formatContractDate(state.date) });
+      const points = buildDayCurve(enrichedData, state.date).map(reading => {
+        const label = labels[periods.indexOf(reading.period)] || reading.period;
+        const surplusText = hasSurplus ? `, excedentes ${formatNumberES(reading.surplusEnergyKWh)} kWh` : '';
+        return {
+          label: reading.time,
+          title: `${reading.time} (${label}): ${formatNumberES(reading.consumptionKWh)} kWh${surplusText}`,
+          value: reading.consumptionKWh,
+          sideValue: reading.surplusEnergyKWh,
+          bandClassName: getPeriodClass(reading.period)
+        };
+      });
+      selections = [];
+      chartHTML = renderCurveChart(points, {
+        title: `Consumo del ${formatContractDate(state.date)}`,
+        unit: 'kWh',
+        formatValue: formatAxisValue
+      });
+    } else if (state.month) {
+      crumbs.push({ label: formatMonthDisplay(state.month) });
+      const days = buildDailyTotals(enrichedData, state.month, periods);
+      selections = days.map(day => day.date);
+      chartHTML = renderStackedBarChart(
+        days.map(day => toBar(day.date.slice(8), formatContractDate(day.date), day)),
+        { title: `Consumo diario de ${formatMonthDisplay(state.month)}`, unit: 'kWh', formatValue: formatAxisValue }
+      );
+    } else {
+      selections = byMonth.months;
+      chartHTML = renderStackedBarChart(
+        byMonth.months.map(month => toBar(formatMonthShortLabel(month), formatMonthDisplay(month), byMonth.data[month])),
+        { title: 'Consumo mensual por periodo', unit: 'kWh', formatValue: formatAxisValue }
+      );
+    }
+    
+    card.querySelector('.chart-breadcrumb').innerHTML = crumbs.map((crumb, index) => (
+      index < crumbs.length - 1
+        ? `<button type="button" class="chart-crumb" data-crumb-index="${index}">${crumb.label}</button>`
+        : `<span class="chart-crumb-current">${crumb.label}</span>`
+    )).join(' › ');
+    card.querySelector('.chart-container').innerHTML = chartHTML;
+  };
+  
+  card.addEventListener('click', event => {
+    const crumb = event.target.closest('[data-crumb-index]');
+    const slot = event.target.closest('[data-chart-index]');
+    if (crumb) {
+      const { month, date } = crumbs[Number(crumb.dataset.crumbIndex)];
+      Object.assign(state, { month, date });
+    } else if (slot) {
+      const selection = selections[Number(slot.dataset.chartIndex)];
+      if (state.month) {
+        state.date = selection;
+      } else {
+        state.month = selection;
+      }
+    } else {
+      return;
+    }
+    draw();
+  });
+  
+  draw();
+}
+
+/**
+ * LOAD PROFILE
+ * ============
+ */
+
+/**
+ * Get the season of a date
+ * @param {string} date - Date in format "YYYY/MM/DD"
+ * @returns {string} Season key (see SEASONS)
+ */
+function getSeason(date) {
+  const month = Number(String(date).split('/')[1]);
+  return SEASONS.find(season => season.months.includes(month)).key;
+}
+
+/**
+ * Build the average consumption of each hour of the day
+ * Working days and off-peak days (weekends and holidays) are averaged apart.
+ * @param {Array<Object>} enrichedData - Readings from enrichData
+ * @param {Object} periodOptions - Options the readings were classified with (regionalHolidays)
+ * @param {string|null} season - Season key to keep, or null for the whole range
+ * @returns {Object} { workday, offPeak, workdayPeriods }: per day type, the number of days, the average kWh
+ *   of each hour (hours) and the average kWh per day of each period (byPeriod); workdayPeriods holds the
+ *   period most working-day readings of each hour fall in
+ */
+function buildLoadProfile(enrichedData, periodOptions = {}, season = null) {
+  const createDayType = () => ({ dates: new Set(), hours: Array(24).fill(0), byPeriod: {} });
+  const dayTypes = { workday: createDayType(), offPeak: createDayType() };
+  const periodCounts = Array.from({ length: 24 }, () => ({}));
+  
+  enrichedData.forEach(entry => {
+    if (!entry?.period) return;
+    const date = entry.localDate || entry.date;
+    if (season && getSeason(date) !== season) return;
+    
+    const isWorkday = !isOffPeakDay(date, periodOptions);
+    const dayType = dayTypes[isWorkday ? 'workday' : 'offPeak'];
+    const hour = entry.localHour ?? 0;
+    dayType.dates.add(date);
+    dayType.hours[hour] += entry.consumptionKWh;
+    dayType.byPeriod[entry.period] = (dayType.byPeriod[entry.period] || 0) + entry.consumptionKWh;
+    if (isWorkday) {
+      periodCounts[hour][entry.period] = (periodCounts[hour][entry.period] || 0) + 1;
+    }
+  });
+  
+  const average = ({ dates, hours, byPeriod }) => {
+    const days = dates.size;
+    const perDay = value => (days > 0 ? value / days : 0);
+    return {
+      days,
+      hours: hours.map(perDay),
+      byPeriod: Object.fromEntries(Object.entries(byPeriod).map(([period, value]) => [period, perDay(value)]))
+    };
+  };
+  
+  return {
+    workday: average(dayTypes.workday),
+    offPeak: average(dayTypes.offPeak),
+    workdayPeriods: periodCounts.map(counts => {
+      const [period = null] = Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([name]) => name);
+      return period;
+    })
+  };
+}
+
+/**
+ * Render the average daily load profile, with a season picker
+ * @param {Object} processedData - Processed data from processConsumptionData
+ * @param {Object} periodOptions - Options the readings were classified with
+ */
+function renderLoadProfile(processedData, periodOptions) {
+  const { enrichedData, summaries } = processedData;
+  if (enrichedData.length === 0) return;
+  
+  const { periods } = summaries;
+  const labels = getEnergyPeriodLabels(periods);
+  const offPeakPeriod = periods[periods.length - 1];
+  const offPeakLabel = labels[labels.length - 1];
+  const dates = new Set(enrichedData.map(entry => entry?.localDate || entry?.date).filter(Boolean));
+  const seasons = SEASONS.filter(season => [...dates].some(date => getSeason(date) === season.key));
+  const formatHour = hour => `${String(hour).padStart(2, '0')}h`;
+  const formatAxisValue = value => formatNumberES(value, Number.isInteger(value) ? 0 : 2);
+  
+  const seasonButtonsHTML = [{ key: '', label: 'Todo el periodo' }, ...seasons].map(season => `
+    <button type="button" class="range-btn season-btn" data-season="${season.key}">${season.label}</button>
+  `).join('');
+  
+  const container = document.getElementById('table-container');
+  container.insertAdjacentHTML('beforeend', `
+    <div class="supply-info-card period-options-card load-profile-card">
+      <div class="supply-info-header">
+        <h2>Consumo medio por hora</h2>
+      </div>
+      <div class="period-options-content">
+        <div class="season-options">${seasonButtonsHTML}</div>
+        <div class="chart-container"></div>
+        <div class="chart-legend">
+          <span class="chart-legend-item"><span class="chart-swatch chart-swatch-line"></span>Laborables</span>
+          <span class="chart-legend-item"><span class="chart-swatch chart-swatch-line chart-swatch-offpeak"></span>Fines de semana y festivos</span>
+          ${periods.map((period, index) => `<span class="chart-legend-item"><span class="chart-swatch chart-band-swatch chart-${period.toLowerCase()}"></span>${labels[index]} (laborables)</span>`).join('')}
+        </div>
+        <div class="load-profile-summary"></div>
+        <p class="option-help">Media de cada hora en los días con datos. Los fines de semana y festivos son ${offPeakLabel} todo el día, así que lo que consumes en otras horas los días laborables es lo que podrías mover a ${offPeakLabel}.</p>
+      </div>
+    </div>
+  `);
+  const card = container.lastElementChild;
+  
+  const draw = season => {
+    const profile = buildLoadProfile(enrichedData, periodOptions, season || null);
+    const points = profile.workday.hours.map((kWh, hour) => ({
+      label: formatHour(hour),
+      title: `${formatHour(hour)}-${formatHour(hour + 1)}: laborables ${formatNumberES(kWh)} kWh, fines de semana y festivos ${formatNumberES(profile.offPeak.hours[hour])} kWh`,
+      value: kWh,
+      sideValue: profile.offPeak.hours[hour],
+      bandClassName: profile.workdayPeriods[hour] ? `chart-${profile.workdayPeriods[hour].toLowerCase()}` : ''
+    }));
+    
+    card.querySelector('.chart-container').innerHTML = renderCurveChart(points, {
+      title: 'Consumo medio por hora del día',
+      unit: 'kWh',
+      formatValue: formatAxisValue,
+      sideLineClassName: 'chart-line-offpeak'
+    });
+    
+    const rowHTML = (label, dayType) => {
+      const total = periods.reduce((sum, period) => sum + (dayType.byPeriod[period] || 0), 0);
+      return `
+        <tr>
+          <td class="row-label">${label}</td>
+          <td class="data-cell">${dayType.days}</td>
+          ${periods.map(period => `<td class="data-cell">${formatNumberES(dayType.byPeriod[period] || 0)}</td>`).join('')}
+          <td class="data-cell">${formatNumberES(total)}</td>
+        </tr>
+      `;
+    };
+    const workdayTotal = periods.reduce((sum, period) => sum + (profile.workday.byPeriod[period] || 0), 0);
+    const movable = workdayTotal - (profile.workday.byPeriod[offPeakPeriod] || 0);
+    const movableShare = workdayTotal > 0 ? (movable / workdayTotal) * 100 : 0;
+    
+    card.querySelector('.load-profile-summary').innerHTML = `
+      <table class="comparison-table">
+        <thead>
+          <tr><th></th><th>Días</th>${labels.map(label => `<th>${label} (kWh/día)</th>`).join('')}<th>Total (kWh/día)</th></tr>
+        </thead>
+        <tbody>
+          ${rowHTML('Laborables', profile.workday)}
+          ${rowHTML('Fines de semana y festivos', profile.offPeak)}
+        </tbody>
+      </table>
+      <p>Los días laborables consumes de media <strong>${formatNumberES(movable)} kWh/día</strong> fuera de ${offPeakLabel} (${formatNumberES(movableShare, 0)} % de su consumo).</p>
+      <details class="load-profile-hours">
+        <summary>Ver la tabla por horas</summary>
+        <table class="comparison-table">
+          <thead>
+            <tr><th>Hora</th><th>Periodo (laborables)</th><th>Laborables (kWh)</th><th>Fines de semana y festivos (kWh)</th></tr>
+          </thead>
+          <tbody>
+            ${points.map((point, hour) => `
+              <tr>
+                <td class="row-label">${formatHour(hour)}-${formatHour(hour + 1)}</td>
+                <td>${labels[periods.indexOf(profile.workdayPeriods[hour])] || ''}</td>
+                <td class="data-cell">${formatNumberES(point.value, 3)}</td>
+                <td class="data-cell">${formatNumberES(point.sideValue, 3)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </details>
+    `;
+    
+    card.querySelectorAll('.season-btn').forEach(button => {
+      button.classList.toggle('active', button.dataset.season === season);
+    });
+  };
+  
+  card.querySelector('.season-options').addEventListener('click', event => {
+    const button = event.target.closest('.season-btn');
+    if (button) draw(button.dataset.season);
+  });
+  
+  draw('');
+}
+
+/**
+ * LOAD SHIFTING SIMULATOR
+ * =======================
+ */
+
+/**
+ * Move part of the consumption of each period to the off-peak period
+ * Only the monthly and period totals change; the readings, and so the charts, stay real.
+ * @param {Object} processedData - Processed data from processConsumptionData
+ * @param {Object} shares - Share of each period to move, from 0 to 1 (e.g. { P1: 0.2, P2: 0.1 })
+ * @returns {Object} Processed data with the simulated totals and summaries.simulation ({ shares, movedKWh }),
+ *   or processedData itself if nothing is moved
+ */
+function simulateLoadShift(processedData, shares) {
+  const { periods, byMonth, byPeriod } = processedData.summaries;
+  const offPeakPeriod = periods[periods.length - 1];
+  const shiftedPeriods = periods.slice(0, -1).filter(period => shares[period] > 0);
+  if (shiftedPeriods.length === 0) return processedData;
+  
+  const shift = entry => {
+    const shifted = { ...entry };
+    shiftedPeriods.forEach(period => {
+      const moved = entry[period] * Math.min(shares[period], 1);
+      shifted[period] -= moved;
+      shifted[offPeakPeriod] += moved;
+    });
+    return shifted;
+  };
+  
+  const simulatedByPeriod = shift(byPeriod);
+  return {
+    ...processedData,
+    summaries: {
+      ...processedData.summaries,
+      byPeriod: simulatedByPeriod,
+      byMonth: {
+        ...byMonth,
+        data: Object.fromEntries(Object.entries(byMonth.data).map(([month, entry]) => [month, shift(entry)]))
+      },
+      simulation: {
+        shares: Object.fromEntries(shiftedPeriods.map(period => [period, shares[period]])),
+        movedKWh: simulatedByPeriod[offPeakPeriod] - byPeriod[offPeakPeriod]
+      }
+    }
+  };
+}
+
+/**
+ * Describe a load shift (e.g. "se mueve el 20 % de Punta y el 10 % de Llana a Valle")
+ * @param {Object} shares - Share of each period moved, from 0 to 1
+ * @param {Array<string>} periods - Tariff periods
+ * @returns {string} Description in Spanish
+ */
+function describeLoadShift(shares, periods) {
+  const labels = getEnergyPeriodLabels(periods);
+  const parts = periods.slice(0, -1)
+    .filter(period => shares[period] > 0)
+    .map(period => `el ${Math.round(shares[period] * 100)} % de ${labels[periods.indexOf(period)]}`);
+  const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} y ${parts[parts.length - 1]}` : parts[0];
+  return `se mueve ${list} a ${labels[labels.length - 1]}`;
+}
+
+/**
+ * Render the load shifting simulator
+ * The sliders start at 0 on every render, so the real figures are shown by default.
+ * @param {Object} processedData - Processed data from processConsumptionData
+ * @param {Function} onChange - Called with the processed data to show, simulated or real
+ */
+function renderLoadShiftSimulator(processedData, onChange) {
+  const { periods, total } = processedData.summaries;
+  if (!(total > 0)) return;
+  
+  const labels = getEnergyPeriodLabels(periods);
+  const offPeakLabel = labels[labels.length - 1];
+  const slidersHTML = periods.slice(0, -1).map((period, index) => `
+    <label class="shift-slider" for="shift${period}">
+      <span>${labels[index]} → ${offPeakLabel}</span>
+      <input type="range" id="shift${period}" data-period="${period}" min="0" max="100" step="5" value="0">
+      <output for="shift${period}">0 %</output>
+    </label>
+  `).join('');
+  
+  const container = document.getElementById('table-container');
+  const table = container.querySelector('.consumption-table-section');
+  if (!table) return;
+  table.insertAdjacentHTML('afterend', `
+    <div class="supply-info-card period-options-card load-shift-card">
+      <div class="supply-info-header">
+        <h2>Simulador de desplazamiento de consumo</h2>
+      </div>
+      <div class="period-options-content">
+        <div class="shift-sliders">${slidersHTML}</div>
+        <p class="shift-summary">Mostrando tus datos reales.</p>
+        <button type="button" class="range-btn shift-reset-btn">Volver a mis datos reales</button>
+        <p class="option-help">Prueba qué pasaría si movieras parte de tu consumo a ${offPeakLabel} (por ejemplo, poniendo el lavavajillas por la noche). La tabla y los botones de copiar pasan a usar las cifras simuladas; las gráficas siguen mostrando tu consumo real.</p>
+      </div>
+    </div>
+  `);
+  const card = table.nextElementSibling;
+  const sliders = [...card.querySelectorAll('input[type="range"]')];
+  
+  const update = () => {
+    const shares = {};
+    sliders.forEach(slider => {
+      shares[slider.dataset.period] = Number(slider.value) / 100;
+      slider.nextElementSibling.textContent = `${slider.value} %`;
+    });
+    const data = simulateLoadShift(processedData, shares);
+    const { simulation } = data.summaries;
+    card.querySelector('.shift-summary').textContent = simulation
+      ? `Simulación: ${describeLoadShift(simulation.shares, periods)} (${formatNumberES(simulation.movedKWh)} kWh en el periodo mostrado).`
+      : 'Mostrando tus datos reales.';
+    card.classList.toggle('simulated', Boolean(simulation));
+    onChange(data);
+  };
+  
+  sliders.forEach(slider => slider.addEventListener('input', update));
+  card.querySelector('.shift-reset-btn').addEventListener('click', () => {
+    sliders.forEach(slider => {
+      slider.value = 0;
+    });
+    update();
+  });
+}
+
+/**
+ * SUPPLY COMPARISON
+ * =================
+ */
+
+/**
+ * Add the energy of a month to a running total
+ * @param {Object} target - Entry to add to, with one value per period and surplusEnergyKWh
+ * @param {Object} source - Entry to add
+ * @param {Array<string>} periods - Periods to add
+ */
+function addMonthEntry(target, source, periods) {
+  periods.forEach(period => {
+    target[period] += source?.[period] || 0;
+  });
+  target.surplusEnergyKWh += source?.surplusEnergyKWh || 0;
+}
+
+/**
+ * Build the monthly comparison of several supplies
+ * Each supply keeps the periods of its tariff. Periods of different tariffs don't
+ * match (2.0TD Valle is not 3.0TD P3), so supplies are only added up when they
+ * share a tariff; otherwise there is no aggregate.
+ * @param {Array<Object>} entries - Per supply: { supply, summaries }, with summaries from processConsumptionData
+ * @returns {Object} { months, periods, supplies: [{ cups, label, periods, byMonth, total }], aggregate: { byMonth, total } };
+ *   periods and aggregate are null when the tariffs differ
+ */
+function buildSupplyComparison(entries) {
+  const comparable = new Set(entries.map(entry => entry.summaries.periods.join())).size <= 1;
+  const periods = comparable ? (entries[0]?.summaries.periods || getTariffPeriods()) : null;
+  const months = [...new Set(entries.flatMap(entry => entry.summaries.byMonth.months))].sort();
+  
+  const aggregate = comparable ? { byMonth: {}, total: createEmptyMonthEntry(periods) } : null;
+  if (aggregate) {
+    months.forEach(month => {
+      aggregate.byMonth[month] = createEmptyMonthEntry(periods);
+    });
+  }
+  
+  const supplies = entries.map(({ supply, summaries }) => {
+    const supplyPeriods = summaries.periods;
+    const byMonth = {};
+    const total = createEmptyMonthEntry(supplyPeriods);
+    
+    months.forEach(month => {
+      byMonth[month] = createEmptyMonthEntry(supplyPeriods);
+      addMonthEntry(byMonth[month], summaries.byMonth.data[month], supplyPeriods);
+      addMonthEntry(total, byMonth[month], supplyPeriods);
+      if (aggregate) addMonthEntry(aggregate.byMonth[month], byMonth[month], periods);
+    });
+    if (aggregate) addMonthEntry(aggregate.total, total, periods);
+    
+    return {
+      cups: supply.cups,
+      label: supply.addressInfo || supply.address || supply.cups,
+      periods: supplyPeriods,
+      byMonth,
+      total
+    };
+  });
+  
+  return { months, periods, supplies, aggregate };
+}
+
+/**
+ * Display a modal for the user to choose the supplies to compare
+ * Every supply starts checked; at least two must be chosen.
+ * @param {Array} supplies - List of supplies
+ * @param {string} selectedCups - CUPS being displayed, marked as the current one
+ * @returns {Promise<Array|null>} - Chosen supplies, or null if cancelled
+ */
+function showSupplyComparisonModal(supplies, selectedCups) {
+  return new Promise((resolve) => {
+    document.querySelector('.modal-overlay')?.remove();
+    
+    const modalHTML = `
+      <div class="modal-overlay">
+        <div class="modal-content">
+          <h2>Comparar suministros</h2>
+          <p>Elige al menos dos suministros para ver su consumo mes a mes:</p>
+          <div class="supply-list">
+            ${supplies.map((supply, index) => `
+              <label class="supply-item supply-check">
+                <input type="checkbox" data-supply-index="${index}" checked>
+                <strong>${escapeHtml(supply.cups)}${supply.cups === selectedCups ? ' (actual)' : ''}</strong>
+                <span class="supply-item-detail">${escapeHtml(supply.addressInfo || supply.address || 'Sin dirección')}</span>
+              </label>
+            `).join('')}
+          </div>
+          <div class="modal-actions">
+            <button type="button" class="range-btn modal-confirm-btn">Comparar</button>
+            <button type="button" class="modal-cancel-btn">Volver</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    
+    const overlay = document.querySelector('.modal-overlay');
+    const checkboxes = [...overlay.querySelectorAll('input[type="checkbox"]')];
+    const confirmButton = overlay.querySelector('.modal-confirm-btn');
+    const getChosen = () => checkboxes
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => supplies[Number(checkbox.dataset.supplyIndex)]);
+    
+    checkboxes.forEach(checkbox => checkbox.addEventListener('change', () => {
+      confirmButton.disabled = getChosen().length < 2;
+    }));
+    
+    confirmButton.addEventListener('click', () => {
+      overlay.remove();
+      resolve(getChosen());
+    });
+    overlay.querySelector('.modal-cancel-btn').addEventListener('click', () => {
+      overlay.remove();
+      resolve(null);
+    });
+  });
+}
+
+/**
+ * Render the comparison of several supplies in place of the consumption table
+ * Each month lists the supplies one under another, followed by their total row
+ * when they share a tariff; the last block does the same for the whole range.
+ * @param {Object} comparison - Comparison from buildSupplyComparison
+ * @param {Object} actions - Available actions
+ * @param {Function} actions.onBack - Go back to the supply that was being displayed
+ */
+function renderSupplyComparison(comparison, actions) {
+  const { months, supplies, aggregate } = comparison;
+  // Supplies with a shorter tariff leave the extra period columns empty
+  const columns = supplies.reduce((longest, supply) => (supply.periods.length > longest.length ? supply.periods : longest), []);
+  const rowCount = supplies.length + (aggregate ? 1 : 0);
+  
+  const renderCells = (periods, entry) => `
+    ${columns.map(period => `<td class="data-cell">${periods.includes(period) ? formatNumberES(entry[period]) : ''}</td>`).join('')}
+    <td class="data-cell">${formatNumberES(entry.surplusEnergyKWh)}</td>`;
+  
+  const renderBlock = (label, getEntry) => `
+    ${supplies.map((supply, index) => `
+      <tr>
+        ${index === 0 ? `<td class="row-label" rowspan="${rowCount}">${label}</td>` : ''}
+        <td class="comparison-group" title="${escapeHtml(supply.cups)}">${escapeHtml(supply.label)}</td>
+        ${renderCells(supply.periods, getEntry(supply))}
+      </tr>
+    `).join('')}
+    ${aggregate ? `
+      <tr class="total-row">
+        <td class="row-label">Total</td>
+        ${renderCells(columns, getEntry(aggregate))}
+      </tr>
+    ` : ''}`;
+  
+  const container = document.getElementById('table-container');
+  container.innerHTML = `
+    <div class="supply-info-card comparison-card">
+      <div class="supply-info-header">
+        <h2>Comparativa de suministros</h2>
+      </div>
+      <div class="period-options-content">
+        <p class="option-help">${aggregate
+          ? 'Energía consumida por periodo y excedentes (kWh) de cada suministro, y su suma en la fila Total.'
+          : 'Energía consumida por periodo y excedentes (kWh) de cada suministro. Los suministros tienen tarifas distintas y sus periodos no se corresponden, así que no se suman.'}</p>
+        <div class="comparison-table-wrapper">
+          <table class="comparison-table">
+            <thead>
+              <tr class="section-header">
+                <th>Mes</th>
+                <th>Suministro</th>
+                ${[...columns, 'Exc.'].map(label => `<th>${label}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${months.map(month => renderBlock(formatMonthDisplay(month), group => group.byMonth[month])).join('')}
+              ${renderBlock('Todo el periodo', group => group.total)}
+            </tbody>
+          </table>
+        </div>
+        <button type="button" id="comparisonBackBtn" class="range-btn comparison-back-btn">Volver al suministro</button>
+      </div>
+    </div>
+  `;
+  
+  document.getElementById('comparisonBackBtn').addEventListener('click', actions.onBack);
+}
+
+/**
+ * Load the chosen supplies and show them side by side
+ * Each supply is loaded like a single one, from the cache when possible.
+ * @param {string} authToken - The authorization token
+ * @param {Object} supplyList - Supplies already fetched, as returned by fetchSupplyList
+ * @param {string} selectedCups - CUPS being displayed, to go back to
+ */
+async function compareSupplies(authToken, supplyList, selectedCups) {
+  const chosenSupplies = await showSupplyComparisonModal(supplyList.supplies, selectedCups);
+  if (!chosenSupplies) return;
+  
+  const goBack = () => fetchFreshData(authToken, true, { cups: selectedCups, supplyList });
+  showLoadingSpinner('Preparando la comparativa...');
+  
+  try {
+    const dateRange = getSelectedDateRange();
+    const measurementType = getPreference(PREFERENCE_KEYS.measurementType, MEASUREMENT_TYPES.hourly);
+    const regionalHolidays = getPreference(PREFERENCE_KEYS.regionalHolidays, false);
+    const entries = [];
+    const unavailable = [];
+    
+    for (const supply of chosenSupplies) {
+      const { contractDetails, consumptionData, unavailableMonths } = await loadSupplyData(
+        authToken,
+        supply,
+        { dateRange, measurementType, includeMaxPower: false }
+      );
+      const periodOptions = getPeriodOptions(contractDetails, supply, { regionalHolidays, measurementType });
+      const { summaries } = processConsumptionData(consumptionData, periodOptions, dateRange);
+      entries.push({ supply, summaries });
+      
+      if (unavailableMonths.length > 0) {
+        unavailable.push(`${supply.cups}: ${unavailableMonths.join(', ')}`);
+      }
+    }
+    
+    renderSupplyComparison(buildSupplyComparison(entries), { onBack: goBack });
+    
+    if (unavailable.length > 0) {
+      alert(`No se han podido descargar algunos meses, que cuentan como cero en la comparativa:\n\n${unavailable.join('\n')}`);
+    }
+  } catch (error) {
+    console.error('Error comparing supplies:', error);
+    
+    if (isAuthError(error)) {
+      alert('Tu sesión ha expirado. Por favor, inicia sesión de nuevo.');
+      logout();
+    } else {
+      renderErrorCard(error, {
+        onRetry: () => compareSupplies(authToken, supplyList, selectedCups),
+        onPickSupply: goBack
+      });
+    }
+  } finally {
+    hideLoadingSpinner();
+  }
+}
+
+/**
+ * OFFLINE MODE
+ * ============
+ */
+
+/**
+ * Let the user pick one of the cached supplies and show it without logging in
+ */
+async function showOfflineSupplies() {
+  const cachedSupplies = await listCachedSupplies();
+  if (cachedSupplies.length === 0) {
+    alert('No hay datos guardados en este navegador.');
+    return;
+  }
+  
+  const selected = await showSupplySelectionModal(
+    cachedSupplies.map(cachedSupply => ({
+      ...cachedSupply,
+      addressInfo: cachedSupply.supply?.addressInfo || cachedSupply.contractDetails?.addressInfo
+    })),
+    {
+      title: 'Datos guardados',
+      message: 'Estos suministros tienen datos guardados en este navegador:',
+      getDetail: cachedSupply => {
+        const firstMonth = formatMonthDisplay(cachedSupply.months[0].month);
+        const lastMonth = formatMonthDisplay(cachedSupply.months[cachedSupply.months.length - 1].month);
+        const owner = cachedSupply.authorizedNif ? `Autorizado por ${cachedSupply.authorizedNif} · ` : '';
+        return `${owner}${firstMonth} - ${lastMonth} · guardado el ${cachedSupply.cachedAt.toLocaleString()}`;
+      },
+      cancelable: true
+    }
+  );
+  
+  if (selected) {
+    await showCachedData(selected);
+  }
+}
+
+/**
+ * Render the dashboard from cached data only
+ * Expired entries are used too: offline, old data is better than none.
+ * @param {Object} cachedSupply - Cached supply (see summarizeCacheEntries)
+ * @param {Object|null} dateRange - Months to show; defaults to every cached month
+ */
+async function showCachedData(cachedSupply, dateRange = null) {
+  const preferredType = getPreference(PREFERENCE_KEYS.measurementType, MEASUREMENT_TYPES.hourly);
+  const measurementTypes = [...new Set(cachedSupply.months.map(entry => entry.measurementType))];
+  const measurementType = measurementTypes.includes(preferredType) ? preferredType : measurementTypes[0];
+  const cachedMonths = cachedSupply.months.filter(entry => entry.measurementType === measurementType);
+  const range = dateRange || {
+    startMonth: cachedMonths[0].month,
+    endMonth: cachedMonths[cachedMonths.length - 1].month
+  };
+  
+  showLoadingSpinner('Cargando datos guardados...');
+  
+  try {
+    const monthsInRange = cachedMonths.filter(entry => entry.month >= range.startMonth && entry.month <= range.endMonth);
+    const consumptionData = [];
+    for (const entry of monthsInRange) {
+      consumptionData.push(...(await getCache(entry.key, { includeExpired: true }) || []));
+    }
+    
+    const supplyData = cachedSupply.supply || {
+      cups: cachedSupply.cups,
+      addressInfo: cachedSupply.contractDetails?.addressInfo
+    };
+    const contractDetails = cachedSupply.contractDetails || {
+      cups: cachedSupply.cups,
+      addressInfo: supplyData.addressInfo,
+      tariff: DEFAULT_TARIFF
+    };
+    
+    processAndDisplayData(consumptionData, contractDetails, supplyData, {
+      measurementType,
+      dateRange: range,
+      onDateRangeChange: newRange => {
+        const normalizedRange = normalizeDateRange(newRange);
+        if (normalizedRange) showCachedData(cachedSupply, normalizedRange);
+      }
+    });
+    showDashboard(true);
+    
+    const cacheDate = monthsInRange.length > 0
+      ? new Date(Math.max(...monthsInRange.map(entry => entry.timestamp)))
+      : cachedSupply.cachedAt;
+    showCacheNotification(cacheDate, supplyData.addressInfo, { offline: true });
+  } catch (error) {
+    console.error('Error showing cached data:', error);
+    alert('No se han podido cargar los datos guardados:\n\n' + error.message);
+  } finally {
+    hideLoadingSpinner();
+  }
+}
+
 /**
  * CACHE MANAGEMENT
  * ===============
@@ -1199,35 +3317,40 @@ async function fetchFreshData(authToken, showSpinner = true) {
 
 /**
  * Cache helper to store and retrieve data with expiration
+ * Entries live in IndexedDB (see cacheStorage.js), which has room for
+ * several supplies' worth of readings.
  * @param {string} key - Cache key
  * @param {Object} data - Data to store
  * @param {number} expirationHours - Hours until expiration (default: 24)
+ * @returns {Promise<void>}
  */
-function setCache(key, data, expirationHours = 24) {
+async function setCache(key, data, expirationHours = 24) {
   const cacheItem = {
     data,
     timestamp: Date.now(),
     expires: Date.now() + (expirationHours * 60 * 60 * 1000)
   };
 
+  let store;
   try {
-    localStorage.setItem(key, JSON.stringify(cacheItem));
+    store = await getCacheStore();
+    await store.set(key, cacheItem);
   } catch (error) {
     // Check specifically for quota exceeded errors
-    if (error.name === 'QuotaExceededError' || 
+    if (store && (error.name === 'QuotaExceededError' || 
         error.code === 22 || // Chrome/Firefox
         error.code === 1014 || // Firefox
-        error.message?.includes('exceeded')) {
+        error.message?.includes('exceeded'))) {
       
       console.warn('Storage quota exceeded. Attempting to clear older cached items...');
       
       // Try to clear some space by removing older cached items
       try {
-        clearOldestCacheItems();
+        await clearOldestCacheItems(store);
         // Try setting the item again
-        localStorage.setItem(key, JSON.stringify(cacheItem));
+        await store.set(key, cacheItem);
       } catch (retryError) {
-        console.error('Failed to make space in localStorage:', retryError);
+        console.error('Failed to make space in cache storage:', retryError);
       }
     } else {
       console.warn(`Failed to cache data for key ${key}:`, error);
@@ -1237,22 +3360,13 @@ function setCache(key, data, expirationHours = 24) {
 
 /**
  * Helper function to clear oldest cache items when storage quota is exceeded
+ * @param {Object} store - Cache store
+ * @returns {Promise<void>}
  */
-function clearOldestCacheItems() {
-  const cacheKeys = [];
-  
+async function clearOldestCacheItems(store) {
   // Collect all cache keys and their timestamps
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    try {
-      const item = JSON.parse(localStorage.getItem(key));
-      if (item && item.timestamp) {
-        cacheKeys.push({ key, timestamp: item.timestamp });
-      }
-    } catch {
-      // Skip non-JSON items
-    }
-  }
+  const cacheKeys = (await store.entries())
+    .map(({ key, item }) => ({ key, timestamp: item.timestamp }));
   
   // Sort by timestamp (oldest first)
   cacheKeys.sort((a, b) => a.timestamp - b.timestamp);
@@ -1261,49 +3375,460 @@ function clearOldestCacheItems() {
   const itemsToRemove = Math.max(3, Math.floor(cacheKeys.length * 0.2));
   
   for (let i = 0; i < itemsToRemove && i < cacheKeys.length; i++) {
-    localStorage.removeItem(cacheKeys[i].key);
+    await store.remove(cacheKeys[i].key);
     console.log(`Removed old cache item: ${cacheKeys[i].key}`);
   }
 }
 
 /**
- * Get cached data if not expired
+ * Get a cache entry, with the time it was stored, if not expired
+ * Expired entries are kept for the offline view and the rate limit fallbacks;
+ * only the cache panel deletes them.
  * @param {string} key - Cache key
- * @returns {Object|null} - Cached data or null if expired/not found
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.includeExpired - Return expired data too (offline mode)
+ * @returns {Promise<Object|null>} - Cache entry ({ data, timestamp, expires }) or null if expired/not found
  */
-function getCache(key) {
+async function getCacheItem(key, options = {}) {
   try {
-    const cachedItem = localStorage.getItem(key);
+    const store = await getCacheStore();
+    const cachedItem = await store.get(key);
     if (!cachedItem) return null;
     
-    const parsedItem = JSON.parse(cachedItem);
-    
     // Check if cache has expired
-    if (parsedItem.expires && parsedItem.expires < Date.now()) {
-      localStorage.removeItem(key); // Clean up expired cache
+    if (!options.includeExpired && cachedItem.expires && cachedItem.expires < Date.now()) {
       return null;
     }
     
-    return parsedItem.data;
+    return cachedItem;
   } catch (error) {
     console.warn(`Failed to retrieve cache for key ${key}:`, error);
     return null;
   }
 }
 
+/**
+ * Get cached data if not expired
+ * @param {string} key - Cache key
+ * @param {Object} options - Lookup options (see getCacheItem)
+ * @returns {Promise<Object|null>} - Cached data or null if expired/not found
+ */
+async function getCache(key, options = {}) {
+  const cachedItem = await getCacheItem(key, options);
+  return cachedItem ? cachedItem.data : null;
+}
+
+/**
+ * Remove cache entries
+ * @param {Array<string>} keys - Cache keys
+ * @returns {Promise<void>}
+ */
+async function removeCache(keys) {
+  try {
+    const store = await getCacheStore();
+    for (const key of keys) {
+      await store.remove(key);
+    }
+  } catch (error) {
+    console.warn('Failed to remove cache entries:', error);
+  }
+}
+
 /**
  * Create a cache key for consumption data
+ * Hourly and quarter-hourly curves are always stored under different keys.
  * @param {string} cups - CUPS identifier
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
- * @param {number} measurementType - Measurement type
+ * @param {number} measurementType - Measurement type (0 hourly, 1 quarter-hourly)
  * @param {number} pointType - Point type
  * @returns {string} - Cache key
  */
 function createConsumptionCacheKey(cups, startDate, endDate, measurementType, pointType) {
   const formattedStartDate = formatDate(startDate);
   const formattedEndDate = formatDate(endDate);
-  return `consumption_data_${cups}_${formattedStartDate}_${formattedEndDate}_${measurementType}_${pointType}`;
+  const normalizedMeasurementType = Number(measurementType) || MEASUREMENT_TYPES.hourly;
+  return `consumption_data_${cups}_${formattedStartDate}_${formattedEndDate}_${normalizedMeasurementType}_${pointType}`;
+}
+
+/**
+ * Create a cache key for one month of consumption data
+ * Months are cached on their own so that any date range can reuse them.
+ * @param {string} cups - CUPS identifier
+ * @param {Date} month - First day of the month
+ * @param {number} measurementType - Measurement type (0 hourly, 1 quarter-hourly)
+ * @param {number} pointType - Point type
+ * @returns {string} - Cache key
+ */
+function createMonthlyConsumptionCacheKey(cups, month, measurementType, pointType) {
+  return createConsumptionCacheKey(cups, month, month, measurementType, pointType);
+}
+
+/**
+ * Group consumption readings by the month of their date label
+ * @param {Array} data - Consumption readings
+ * @returns {Map<string, Array>} - Readings keyed by month ("YYYY/MM")
+ */
+function groupReadingsByMonth(data) {
+  const readingsByMonth = new Map();
+  data.forEach(item => {
+    const monthKey = String(item.date).slice(0, 7);
+    if (!readingsByMonth.has(monthKey)) readingsByMonth.set(monthKey, []);
+    readingsByMonth.get(monthKey).push(item);
+  });
+  return readingsByMonth;
+}
+
+/**
+ * Check whether a month has a reading for every day and interval
+ * @param {Array} readings - Readings of the month
+ * @param {Date} month - First day of the month
+ * @param {number} measurementType - Measurement type (0 hourly, 1 quarter-hourly)
+ * @returns {boolean} - True if no readings are missing
+ */
+function isMonthComplete(readings, month, measurementType) {
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const readingsPerHour = 60 / getIntervalMinutes(measurementType);
+  const days = new Set(readings.map(item => item.date));
+  // The spring DST day is one hour short
+  return days.size >= daysInMonth && readings.length >= (daysInMonth * 24 - 1) * readingsPerHour;
+}
+
+/**
+ * Split a month range into cached months and months that must be fetched
+ * Expired, incomplete and current months are always fetched again, but their
+ * cached readings are still returned as a fallback.
+ * @param {string} cups - CUPS identifier
+ * @param {Date} startDate - First month of the range
+ * @param {Date} endDate - Last month of the range
+ * @param {number} measurementType - Measurement type (0 hourly, 1 quarter-hourly)
+ * @param {number} pointType - Point type
+ * @param {Date} now - Reference date
+ * @returns {Promise<Object>} - { cachedMonths: Map of month key to readings, cacheTimestamps: Map of month key
+ *   to the time it was stored, missingMonths: Array<Date> }
+ */
+async function getCachedConsumptionMonths(cups, startDate, endDate, measurementType, pointType, now = new Date()) {
+  const currentMonthKey = toMonthKey(now);
+  const cachedMonths = new Map();
+  const cacheTimestamps = new Map();
+  const missingMonths = [];
+
+  for (const { startDate: month } of splitMonthRange(startDate, endDate)) {
+    const monthKey = toMonthKey(month);
+    const cachedItem = await getCacheItem(
+      createMonthlyConsumptionCacheKey(cups, month, measurementType, pointType),
+      { includeExpired: true }
+    );
+    const readings = cachedItem?.data;
+    const isExpired = cachedItem?.expires && cachedItem.expires < now.getTime();
+
+    if (Array.isArray(readings)) {
+      cachedMonths.set(monthKey, readings);
+      cacheTimestamps.set(monthKey, cachedItem.timestamp);
+    }
+    if (!Array.isArray(readings) || isExpired || monthKey >= currentMonthKey || !isMonthComplete(readings, month, measurementType)) {
+      missingMonths.push(month);
+    }
+  }
+
+  return { cachedMonths, cacheTimestamps, missingMonths };
+}
+
+/**
+ * Store freshly fetched readings, one cache entry per month
+ * Complete past months are kept longer than the current or incomplete ones.
+ * @param {Array} data - Fetched readings
+ * @param {Array<Date>} months - Months that were fetched
+ * @param {string} cups - CUPS identifier
+ * @param {number} measurementType - Measurement type (0 hourly, 1 quarter-hourly)
+ * @param {number} pointType - Point type
+ * @param {Date} now - Reference date
+ * @returns {Promise<void>}
+ */
+async function cacheConsumptionMonths(data, months, cups, measurementType, pointType, now = new Date()) {
+  const currentMonthKey = toMonthKey(now);
+  const readingsByMonth = groupReadingsByMonth(data);
+
+  for (const month of months) {
+    const monthKey = toMonthKey(month);
+    const readings = readingsByMonth.get(monthKey) || [];
+    const isFinal = monthKey < currentMonthKey && isMonthComplete(readings, month, measurementType);
+    await setCache(
+      createMonthlyConsumptionCacheKey(cups, month, measurementType, pointType),
+      readings,
+      isFinal ? CONFIG.completeMonthCacheHours : 24
+    );
+  }
+}
+
+/**
+ * Create a cache key for one month of max power data
+ * @param {string} cups - CUPS identifier
+ * @param {Date} month - First day of the month
+ * @returns {string} - Cache key
+ */
+function createMaxPowerCacheKey(cups, month) {
+  return `max_power_${cups}_${formatDate(month)}`;
+}
+
+/**
+ * Load the maxímetro peaks of a supply, reusing the cached months
+ * Past months don't change once read, so only the current month and months not
+ * cached yet are downloaded. If Datadis fails, the expired cache is used instead.
+ * @param {string} authToken - The authorization token
+ * @param {Object} supplyData - Supply to load
+ * @param {Object} dateRange - Months to load ({ startMonth, endMonth } as "YYYY/MM")
+ * @param {boolean} forceRefresh - Download every month again, even if cached
+ * @param {Date} now - Reference date
+ * @returns {Promise<Array<Object>|null>} - Peaks from getMaxPowerData, or null if none could be loaded
+ */
+async function loadMaxPowerData(authToken, supplyData, dateRange, forceRefresh = false, now = new Date()) {
+  const cacheId = getSupplyCacheId(supplyData);
+  const currentMonthKey = toMonthKey(now);
+  const months = splitMonthRange(monthKeyToDate(dateRange.startMonth), monthKeyToDate(dateRange.endMonth))
+    .map(month => month.startDate);
+  
+  const cachedMonths = new Map();
+  const missingMonths = [];
+  for (const month of months) {
+    const cachedItem = await getCacheItem(createMaxPowerCacheKey(cacheId, month), { includeExpired: true });
+    if (cachedItem) cachedMonths.set(toMonthKey(month), cachedItem.data);
+    if (!cachedItem || cachedItem.expires <= now.getTime() || forceRefresh) {
+      missingMonths.push(month);
+    }
+  }
+  
+  if (missingMonths.length > 0) {
+    updateLoadingMessage('Descargando maxímetro...');
+    try {
+      const peaks = await getMaxPowerData(
+        authToken,
+        supplyData.cups,
+        supplyData.distributorCode,
+        missingMonths[0],
+        missingMonths[missingMonths.length - 1],
+        supplyData.addressInfo,
+        supplyData.authorizedNif || null
+      );
+      const peaksByMonth = groupReadingsByMonth(peaks);
+      for (const month of missingMonths) {
+        const monthKey = toMonthKey(month);
+        const monthPeaks = peaksByMonth.get(monthKey) || [];
+        await setCache(
+          createMaxPowerCacheKey(cacheId, month),
+          monthPeaks,
+          monthKey < currentMonthKey ? CONFIG.completeMonthCacheHours : 24
+        );
+        cachedMonths.set(monthKey, monthPeaks);
+      }
+    } catch (error) {
+      if (isAuthError(error)) throw error;
+      // The maxímetro is an extra: show the consumption without it
+      console.warn('Could not download max power data, using the cache:', error);
+    }
+  }
+  
+  if (cachedMonths.size === 0) return null;
+  return months.flatMap(month => cachedMonths.get(toMonthKey(month)) || []);
+}
+
+/**
+ * Group months into chunks of consecutive months
+ * @param {Array<Date>} months - Months in ascending order
+ * @param {number} chunkMonths - Maximum months per chunk
+ * @returns {Array<Object>} - Chunks with startDate and endDate
+ */
+function buildMonthChunks(months, chunkMonths = 1) {
+  const chunks = [];
+  let monthsInChunk = 0;
+
+  months.forEach(month => {
+    const lastChunk = chunks[chunks.length - 1];
+    const isNextMonth = lastChunk &&
+      new Date(lastChunk.endDate.getFullYear(), lastChunk.endDate.getMonth() + 1, 1).getTime() === month.getTime();
+
+    if (isNextMonth && monthsInChunk < chunkMonths) {
+      lastChunk.endDate = month;
+      monthsInChunk++;
+    } else {
+      chunks.push({ startDate: month, endDate: month });
+      monthsInChunk = 1;
+    }
+  });
+
+  return chunks;
+}
+
+/**
+ * Get the id a supply is cached under
+ * It stands in for the CUPS in every cache key. Supplies consulted through an
+ * authorized NIF add it ("CUPS@NIF"), so they are kept apart from the user's own.
+ * @param {Object} supply - Supply with cups and, if authorized, authorizedNif
+ * @returns {string} - Cache id
+ */
+function getSupplyCacheId(supply) {
+  return supply.authorizedNif ? `${supply.cups}@${supply.authorizedNif}` : supply.cups;
+}
+
+/**
+ * Split a cache id into its CUPS and authorized NIF
+ * @param {string} cacheId - Cache id from getSupplyCacheId
+ * @returns {Object} - { cups, authorizedNif }, authorizedNif is null for the user's own supplies
+ */
+function parseSupplyCacheId(cacheId) {
+  const [cups, authorizedNif = null] = cacheId.split('@');
+  return { cups, authorizedNif };
+}
+
+/**
+ * Create a cache key for a supply point, so it can be shown offline later
+ * @param {string} cups - CUPS identifier
+ * @returns {string} - Cache key
+ */
+function createSupplyCacheKey(cups) {
+  return `supply_data_${cups}`;
+}
+
+// Cache key formats, used to list what is stored for each CUPS
+const CACHE_KEY_PATTERNS = {
+  consumption: /^consumption_data_([^_]+)_(\d{4}\/\d{2})_(\d{4}\/\d{2})_(\d+)_(.*)$/,
+  contract: /^contract_detail_([^_]+)_(.*)$/,
+  maxPower: /^max_power_([^_]+)_(\d{4}\/\d{2})$/,
+  supply: /^supply_data_(.+)$/
+};
+
+/**
+ * Group cache entries by supply
+ * Only monthly consumption entries are listed; whole-range entries from older
+ * versions can't be combined with other ranges.
+ * @param {Array<Object>} entries - Cache entries ({ key, item })
+ * @returns {Array<Object>} - Cached supplies with cacheId, cups, authorizedNif, supply, contractDetails, months, keys, size and cachedAt
+ */
+function summarizeCacheEntries(entries) {
+  const supplies = new Map();
+  const getSummary = cacheId => {
+    if (!supplies.has(cacheId)) {
+      supplies.set(cacheId, {
+        cacheId,
+        ...parseSupplyCacheId(cacheId),
+        supply: null,
+        contractDetails: null,
+        months: [],
+        keys: [],
+        size: 0,
+        cachedAt: null
+      });
+    }
+    return supplies.get(cacheId);
+  };
+  const addEntry = (cacheId, key, item) => {
+    const summary = getSummary(cacheId);
+    summary.keys.push(key);
+    // Approximate size in bytes, as stored by localStorage (UTF-16 aside)
+    summary.size += key.length + JSON.stringify(item).length;
+    return summary;
+  };
+
+  entries.forEach(({ key, item }) => {
+    const consumptionMatch = key.match(CACHE_KEY_PATTERNS.consumption);
+    const contractMatch = key.match(CACHE_KEY_PATTERNS.contract);
+    const supplyMatch = key.match(CACHE_KEY_PATTERNS.supply);
+    const maxPowerMatch = key.match(CACHE_KEY_PATTERNS.maxPower);
+
+    if (consumptionMatch) {
+      const [, cacheId, startMonth, endMonth, measurementType, pointType] = consumptionMatch;
+      if (startMonth !== endMonth) return;
+      addEntry(cacheId, key, item).months.push({
+        month: startMonth,
+        measurementType: Number(measurementType),
+        pointType,
+        key,
+        timestamp: item.timestamp
+      });
+    } else if (contractMatch) {
+      addEntry(contractMatch[1], key, item).contractDetails = item.data;
+    } else if (supplyMatch) {
+      addEntry(supplyMatch[1], key, item).supply = item.data;
+    } else if (maxPowerMatch) {
+      addEntry(maxPowerMatch[1], key, item);
+    }
+  });
+
+  return [...supplies.values()]
+    .filter(summary => summary.months.length > 0)
+    .map(summary => ({
+      ...summary,
+      months: summary.months.sort((a, b) => a.month.localeCompare(b.month)),
+      cachedAt: new Date(Math.max(...summary.months.map(entry => entry.timestamp)))
+    }))
+    .sort((a, b) => a.cacheId.localeCompare(b.cacheId));
+}
+
+/**
+ * List every supply with consumption data in the cache
+ * @returns {Promise<Array<Object>>} - Cached supplies (see summarizeCacheEntries)
+ */
+async function listCachedSupplies() {
+  try {
+    const store = await getCacheStore();
+    return summarizeCacheEntries(await store.entries());
+  } catch (error) {
+    console.warn('Failed to list cached supplies:', error);
+    return [];
+  }
+}
+
+/**
+ * Group cached months into ranges of consecutive months per measurement type
+ * @param {Array<Object>} months - Cached months ({ month, measurementType }) in ascending order
+ * @returns {Array<Object>} - Ranges with startMonth, endMonth, measurementType and count
+ */
+function groupCachedMonthRanges(months) {
+  const ranges = [];
+  const measurementTypes = [...new Set(months.map(entry => entry.measurementType))].sort();
+
+  measurementTypes.forEach(measurementType => {
+    let current = null;
+    months.filter(entry => entry.measurementType === measurementType).forEach(({ month }) => {
+      const previousMonth = monthKeyToDate(month);
+      previousMonth.setMonth(previousMonth.getMonth() - 1);
+      if (current && current.endMonth === toMonthKey(previousMonth)) {
+        current.endMonth = month;
+        current.count++;
+      } else {
+        current = { startMonth: month, endMonth: month, measurementType, count: 1 };
+        ranges.push(current);
+      }
+    });
+  });
+
+  return ranges;
+}
+
+/**
+ * Describe how far a date is from now (e.g. "hace 3 días", "dentro de 2 horas")
+ * @param {Date} date - Date to describe
+ * @param {Date} now - Reference date
+ * @returns {string} - Relative time in Spanish
+ */
+function formatRelativeTime(date, now = new Date()) {
+  const formatter = new Intl.RelativeTimeFormat('es', { numeric: 'auto' });
+  const minutes = Math.round((date.getTime() - now.getTime()) / 60000);
+  if (Math.abs(minutes) < 60) return formatter.format(minutes, 'minute');
+  const hours = Math.round(minutes / 60);
+  if (Math.abs(hours) < 24) return formatter.format(hours, 'hour');
+  return formatter.format(Math.round(hours / 24), 'day');
+}
+
+/**
+ * Format a size in bytes (e.g. "1,25 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Formatted size
+ */
+function formatCacheSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${formatNumberES(bytes / 1024, 0)} KB`;
+  return `${formatNumberES(bytes / (1024 * 1024))} MB`;
 }
 
 /**
@@ -1320,17 +3845,55 @@ function createContractCacheKey(cups, distributorCode) {
 // Export functions needed for testing or external use
 export {
   getPeriod,
+  getPeriodOptions,
   enrichData,
   buildMonthlySummary,
   calculateTotalConsumption,
   calculatePeriodTotal,
   processConsumptionData,
   buildJsonExportData,
+  groupDistributorErrors,
+  prepareMonthlyData,
+  getDefaultDateRange,
+  normalizeDateRange,
   copyTableToClipboard,
   copyWebComparatorJsonToClipboard,
   showCacheNotification,
   getCache,
   setCache,
   createConsumptionCacheKey,
-  createContractCacheKey
+  createMonthlyConsumptionCacheKey,
+  createContractCacheKey,
+  summarizeCacheEntries,
+  groupCachedMonthRanges,
+  formatRelativeTime,
+  formatCacheSize,
+  describeRetryAfter,
+  describeLoadError,
+  buildSupplyComparison,
+  normalizeNif,
+  isValidNif,
+  getSupplyCacheId,
+  parseSupplyCacheId,
+  getContractInfoItems,
+  getMonthlyContractedPowers,
+  getMaxPowerPeriod,
+  buildDailyTotals,
+  buildDayCurve,
+  buildLoadProfile,
+  simulateLoadShift,
+  describeLoadShift,
+  renderLoadShiftSimulator,
+  renderDateRangeOptions,
+  renderDistributorWarnings,
+  renderConsumptionTable,
+  renderSupplySelector,
+  renderCachePanel,
+  showSupplyComparisonModal,
+  renderSupplyComparison,
+  summarizeMaxPower,
+  recommendContractedPower,
+  getCachedConsumptionMonths,
+  cacheConsumptionMonths,
+  buildMonthChunks
 };
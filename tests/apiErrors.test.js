@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import {
+  getConsumptionData,
+  ApiError,
+  defaultErrorHandler,
+  getApiError,
+  isRateLimitError,
+  isAuthError,
+  isNetworkFailure,
+  parseRetryAfter
+} from '../apiCalls.js';
+import { describeRetryAfter, describeLoadError } from '../script.js';
+import { mockResponse } from './helpers/mockFetch.js';
+
+describe('parseRetryAfter', () => {
+  const now = new Date('2025-05-15T10:00:00Z');
+
+  test('reads Retry-After in seconds', () => {
+    expect(parseRetryAfter({ 'retry-after': '120' }, now)).toEqual(new Date('2025-05-15T10:02:00Z'));
+  });
+
+  test('reads Retry-After as an HTTP date', () => {
+    expect(parseRetryAfter({ 'retry-after': 'Fri, 16 May 2025 00:00:00 GMT' }, now)).toEqual(new Date('2025-05-16T00:00:00Z'));
+  });
+
+  test('reads rate limit reset headers', () => {
+    expect(parseRetryAfter({ 'ratelimit-reset': '60' }, now)).toEqual(new Date('2025-05-15T10:01:00Z'));
+    expect(parseRetryAfter({ 'x-ratelimit-reset': '1747353600' }, now)).toEqual(new Date('2025-05-16T00:00:00Z'));
+  });
+
+  test('returns null without usable headers', () => {
+    expect(parseRetryAfter({}, now)).toBeNull();
+    expect(parseRetryAfter({ 'retry-after': 'soon' }, now)).toBeNull();
+  });
+});
+
+describe('ApiError', () => {
+  const callConsumption = () => getConsumptionData(
+    'Bearer token', 'ES0021000000123456AB', '2', new Date(2025, 0, 1), new Date(2025, 0, 1), 0, 5
+  );
+  const { baseDelayMs } = defaultErrorHandler;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    defaultErrorHandler.baseDelayMs = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete globalThis.fetch;
+    defaultErrorHandler.baseDelayMs = baseDelayMs;
+  });
+
+  test('carries the status, headers, parsed body and retry time of a rate limit', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(429, { error: 'Too Many Requests' }, { 'Retry-After': '3600' }));
+
+    const error = await callConsumption().catch(err => err);
+    const apiError = getApiError(error);
+
+    expect(isRateLimitError(error)).toBe(true);
+    expect(apiError).toBeInstanceOf(ApiError);
+    expect(apiError.status).toBe(429);
+    expect(apiError.headers['retry-after']).toBe('3600');
+    expect(apiError.body).toEqual({ error: 'Too Many Requests' });
+    expect(apiError.retryAfter.getTime()).toBeGreaterThan(Date.now() + 3500 * 1000);
+  });
+
+  test('classifies by status, not by the text of the body', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(500, 'Error interno distribuidora: 429 lecturas pendientes'));
+
+    const error = await callConsumption().catch(err => err);
+
+    expect(isRateLimitError(error)).toBe(false);
+    expect(getApiError(error).status).toBe(500);
+    expect(getApiError(error).body).toBe('Error interno distribuidora: 429 lecturas pendientes');
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1 + defaultErrorHandler.maxRetries);
+  });
+
+  test('recognises expired sessions', async () => {
+    globalThis.sessionStorage = { removeItem: jest.fn() };
+    globalThis.fetch = jest.fn(async () => mockResponse(401, { error: 'Unauthorized' }));
+
+    const error = await callConsumption().catch(err => err);
+
+    expect(isAuthError(error)).toBe(true);
+    expect(isRateLimitError(error)).toBe(false);
+    delete globalThis.sessionStorage;
+  });
+
+  test('does not retry server errors when asked to wait too long', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(503, { error: 'Service Unavailable' }, { 'Retry-After': '600' }));
+
+    await callConsumption().catch(() => {});
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('describeRetryAfter', () => {
+  const now = new Date(2025, 4, 15, 12, 0);
+
+  test('tells the user when to try again', () => {
+    const message = describeRetryAfter(new Date(2025, 4, 15, 14, 0), now);
+    expect(message).toContain('Podrás volver a intentarlo');
+    expect(message).toContain('dentro de 2 horas');
+  });
+
+  test('falls back to the generic advice without a retry time', () => {
+    expect(describeRetryAfter(null, now)).toBe('Por favor, inténtalo de nuevo mañana.');
+  });
+});
+
+describe('describeLoadError', () => {
+  const wrap = error => new Error('Error handling API error: ' + error.message, { cause: error });
+
+  test('explains server errors found in the cause chain', () => {
+    const message = describeLoadError(wrap(new ApiError('API call failed: 502', { status: 502 })));
+    expect(message).toContain('no responden');
+    expect(message).toContain('502');
+  });
+
+  test('explains network failures', () => {
+    const error = wrap(new ApiError('Network error calling /x', { status: 0 }, { cause: new TypeError('Failed to fetch') }));
+    expect(isNetworkFailure(error)).toBe(true);
+    expect(describeLoadError(error)).toContain('Comprueba tu conexión');
+  });
+
+  test('keeps the quota advice for rate limits', () => {
+    const message = describeLoadError(new ApiError('Rate limit', { status: 429 }));
+    expect(message).toContain('Por favor, inténtalo de nuevo mañana.');
+  });
+
+  test('uses the message of other errors', () => {
+    expect(describeLoadError(new Error('No se encontraron suministros'))).toBe('No se encontraron suministros');
+  });
+});
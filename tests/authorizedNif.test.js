@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals';
+import { getSuppliesData, getContractDetail, getConsumptionDataInChunks } from '../apiCalls.js';
+import { normalizeNif, isValidNif, getSupplyCacheId, parseSupplyCacheId } from '../script.js';
+import { mockResponse } from './helpers/mockFetch.js';
+
+const requestedNif = url => new URL(url).searchParams.get('authorizedNif');
+
+describe('authorized NIF in API calls', () => {
+  afterEach(() => {
+    delete globalThis.fetch;
+  });
+
+  test('is sent with the supplies and tags them', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(200, { supplies: [{ cups: 'ES0021000000123456AA', distributorCode: '2' }] }));
+
+    const { supplies } = await getSuppliesData('Bearer token', '2', '12345678Z');
+
+    expect(requestedNif(globalThis.fetch.mock.calls[0][0])).toBe('12345678Z');
+    expect(supplies[0].authorizedNif).toBe('12345678Z');
+  });
+
+  test('is left out for the user\'s own supplies', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(200, { supplies: [{ cups: 'ES0021000000123456AA', distributorCode: '2' }] }));
+
+    const { supplies } = await getSuppliesData('Bearer token', '2');
+
+    expect(new URL(globalThis.fetch.mock.calls[0][0]).searchParams.has('authorizedNif')).toBe(false);
+    expect(supplies[0]).not.toHaveProperty('authorizedNif');
+  });
+
+  test('is sent with the contract and every consumption chunk', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(200, { contract: [], timeCurve: [] }));
+
+    await getContractDetail('Bearer token', 'ES0021000000123456AA', '2', null, 'X1234567L');
+    await getConsumptionDataInChunks(
+      'Bearer token', 'ES0021000000123456AA', '2', new Date(2024, 0, 1), new Date(2024, 1, 1), 0, 5, null,
+      { authorizedNif: 'X1234567L' }
+    );
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+    expect(globalThis.fetch.mock.calls.map(([url]) => requestedNif(url))).toEqual(['X1234567L', 'X1234567L', 'X1234567L']);
+  });
+});
+
+describe('NIF validation', () => {
+  test('normalizes what the user types', () => {
+    expect(normalizeNif(' 12.345.678-z ')).toBe('12345678Z');
+    expect(normalizeNif(null)).toBe('');
+  });
+
+  test('checks the letter of DNIs and NIEs', () => {
+    expect(isValidNif('12345678Z')).toBe(true);
+    expect(isValidNif('12345678A')).toBe(false);
+    expect(isValidNif('X1234567L')).toBe(true);
+    expect(isValidNif('Y1234567X')).toBe(true);
+    expect(isValidNif('X12345678L')).toBe(false);
+  });
+
+  test('accepts company NIFs by format', () => {
+    expect(isValidNif('B12345678')).toBe(true);
+    expect(isValidNif('I12345678')).toBe(false);
+  });
+});
+
+describe('supply cache ids', () => {
+  test('use the CUPS for the user\'s own supplies', () => {
+    expect(getSupplyCacheId({ cups: 'ES001' })).toBe('ES001');
+    expect(parseSupplyCacheId('ES001')).toEqual({ cups: 'ES001', authorizedNif: null });
+  });
+
+  test('add the NIF for authorized supplies', () => {
+    const cacheId = getSupplyCacheId({ cups: 'ES001', authorizedNif: '12345678Z' });
+    expect(cacheId).toBe('ES001@12345678Z');
+    expect(parseSupplyCacheId(cacheId)).toEqual({ cups: 'ES001', authorizedNif: '12345678Z' });
+  });
+});
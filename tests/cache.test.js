@@ -0,0 +1,274 @@
+import {
+  createConsumptionCacheKey,
+  createMonthlyConsumptionCacheKey,
+  createContractCacheKey,
+  getCachedConsumptionMonths,
+  cacheConsumptionMonths,
+  buildMonthChunks,
+  summarizeCacheEntries,
+  getSupplyCacheId,
+  groupCachedMonthRanges,
+  formatRelativeTime,
+  formatCacheSize,
+  setCache,
+  getCache
+} from '../script.js';
+import { migrateLocalStorageEntries } from '../cacheStorage.js';
+
+const createStorage = () => {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: index => [...items.keys()][index] ?? null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  };
+};
+
+const buildMonthReadings = (year, monthIndex, hoursPerDay = 24) => {
+  const days = new Date(year, monthIndex + 1, 0).getDate();
+  const readings = [];
+  for (let day = 1; day <= days; day++) {
+    for (let hour = 1; hour <= hoursPerDay; hour++) {
+      readings.push({
+        date: `${year}/${String(monthIndex + 1).padStart(2, '0')}/${String(day).padStart(2, '0')}`,
+        time: `${String(hour).padStart(2, '0')}:00`,
+        consumptionKWh: 0.5
+      });
+    }
+  }
+  return readings;
+};
+
+describe('consumption cache keys', () => {
+  const startDate = new Date(2024, 2, 1);
+  const endDate = new Date(2025, 1, 1);
+
+  test('keep hourly and quarter-hourly curves apart', () => {
+    const hourlyKey = createConsumptionCacheKey('ES0021000000123456AB', startDate, endDate, 0, 5);
+    const quarterHourlyKey = createConsumptionCacheKey('ES0021000000123456AB', startDate, endDate, 1, 5);
+
+    expect(hourlyKey).toBe('consumption_data_ES0021000000123456AB_2024/03_2025/02_0_5');
+    expect(quarterHourlyKey).toBe('consumption_data_ES0021000000123456AB_2024/03_2025/02_1_5');
+  });
+
+  test('treat string and missing measurement types consistently', () => {
+    expect(createConsumptionCacheKey('ES0021000000123456AB', startDate, endDate, '1', 5))
+      .toBe(createConsumptionCacheKey('ES0021000000123456AB', startDate, endDate, 1, 5));
+    expect(createConsumptionCacheKey('ES0021000000123456AB', startDate, endDate, undefined, 5))
+      .toBe(createConsumptionCacheKey('ES0021000000123456AB', startDate, endDate, 0, 5));
+  });
+});
+
+describe('monthly consumption cache', () => {
+  const cups = 'ES0021000000123456AB';
+  const now = new Date(2025, 4, 15);
+
+  beforeEach(() => {
+    globalThis.localStorage = createStorage();
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  test('stores each fetched month under its own key', async () => {
+    const data = [...buildMonthReadings(2025, 0), ...buildMonthReadings(2025, 1)];
+    await cacheConsumptionMonths(data, [new Date(2025, 0, 1), new Date(2025, 1, 1)], cups, 0, 5, now);
+
+    const january = await getCache(createMonthlyConsumptionCacheKey(cups, new Date(2025, 0, 1), 0, 5));
+    expect(january).toHaveLength(31 * 24);
+    expect(january.every(item => item.date.startsWith('2025/01'))).toBe(true);
+  });
+
+  test('keeps expired entries for the offline view', async () => {
+    const key = createMonthlyConsumptionCacheKey(cups, new Date(2025, 0, 1), 0, 5);
+    localStorage.setItem(key, JSON.stringify({ data: [1, 2], timestamp: 1700000000000, expires: 1700086400000 }));
+
+    await expect(getCache(key)).resolves.toBeNull();
+    expect(localStorage.getItem(key)).not.toBeNull();
+    await expect(getCache(key, { includeExpired: true })).resolves.toEqual([1, 2]);
+  });
+
+  test('only asks for months that are missing or incomplete', async () => {
+    await setCache(createMonthlyConsumptionCacheKey(cups, new Date(2025, 0, 1), 0, 5), buildMonthReadings(2025, 0));
+    await setCache(createMonthlyConsumptionCacheKey(cups, new Date(2025, 1, 1), 0, 5), buildMonthReadings(2025, 1, 12));
+
+    const { cachedMonths, missingMonths } = await getCachedConsumptionMonths(
+      cups, new Date(2025, 0, 1), new Date(2025, 2, 1), 0, 5, now
+    );
+
+    expect([...cachedMonths.keys()]).toEqual(['2025/01', '2025/02']);
+    expect(missingMonths.map(month => month.getMonth())).toEqual([1, 2]);
+  });
+
+  test('fetches expired months again but keeps them as a fallback', async () => {
+    const key = createMonthlyConsumptionCacheKey(cups, new Date(2025, 0, 1), 0, 5);
+    const expires = now.getTime() - 1000;
+    localStorage.setItem(key, JSON.stringify({ data: buildMonthReadings(2025, 0), timestamp: expires - 86400000, expires }));
+
+    const { cachedMonths, missingMonths } = await getCachedConsumptionMonths(
+      cups, new Date(2025, 0, 1), new Date(2025, 0, 1), 0, 5, now
+    );
+
+    expect(cachedMonths.get('2025/01')).toHaveLength(31 * 24);
+    expect(missingMonths.map(month => month.getMonth())).toEqual([0]);
+  });
+
+  test('always refreshes the current month', async () => {
+    await setCache(createMonthlyConsumptionCacheKey(cups, new Date(2025, 4, 1), 0, 5), buildMonthReadings(2025, 4));
+
+    const { cachedMonths, missingMonths } = await getCachedConsumptionMonths(
+      cups, new Date(2025, 4, 1), new Date(2025, 4, 1), 0, 5, now
+    );
+
+    expect(cachedMonths.has('2025/05')).toBe(true);
+    expect(missingMonths).toHaveLength(1);
+  });
+
+  test('accepts the short spring DST day as complete', async () => {
+    const march = buildMonthReadings(2025, 2).filter(item => !(item.date === '2025/03/30' && item.time === '03:00'));
+    await setCache(createMonthlyConsumptionCacheKey(cups, new Date(2025, 2, 1), 0, 5), march);
+
+    const { missingMonths } = await getCachedConsumptionMonths(
+      cups, new Date(2025, 2, 1), new Date(2025, 2, 1), 0, 5, now
+    );
+
+    expect(missingMonths).toHaveLength(0);
+  });
+
+  test('groups consecutive missing months into chunks', () => {
+    const months = [0, 1, 2, 5, 6].map(month => new Date(2025, month, 1));
+    const chunks = buildMonthChunks(months, 2);
+
+    expect(chunks.map(chunk => [chunk.startDate.getMonth(), chunk.endDate.getMonth()])).toEqual([
+      [0, 1],
+      [2, 2],
+      [5, 6]
+    ]);
+  });
+});
+
+describe('cache migration', () => {
+  beforeEach(() => {
+    globalThis.localStorage = createStorage();
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  const entry = { data: [1, 2, 3], timestamp: 1700000000000, expires: 1700086400000 };
+  const reading = date => ({ date, time: '01:00', consumptionKWh: 0.5 });
+
+  test('moves old consumption and contract entries into the new store', async () => {
+    localStorage.setItem('consumption_data_ES0021000000123456AB_2024/03_2024/03_0_5', JSON.stringify(entry));
+    localStorage.setItem('contract_detail_ES0021000000123456AB_2', JSON.stringify({ ...entry, data: { p1: 4.6 } }));
+    localStorage.setItem('preference_measurement_type', '1');
+
+    const items = new Map();
+    const store = { set: async (key, item) => { items.set(key, item); } };
+
+    await expect(migrateLocalStorageEntries(store)).resolves.toBe(2);
+    expect(items.get('consumption_data_ES0021000000123456AB_2024/03_2024/03_0_5')).toEqual(entry);
+    expect(items.get('contract_detail_ES0021000000123456AB_2').data).toEqual({ p1: 4.6 });
+    expect(localStorage.length).toBe(1);
+    expect(localStorage.getItem('preference_measurement_type')).toBe('1');
+  });
+
+  test('splits whole-range consumption entries into monthly entries', async () => {
+    const rangeEntry = { ...entry, data: [reading('2024/03/01'), reading('2024/03/02'), reading('2024/04/01')] };
+    localStorage.setItem('consumption_data_ES0021000000123456AB_2024/03_2024/04_0_5', JSON.stringify(rangeEntry));
+    // A monthly entry stored later wins over the same month of an older range
+    const aprilEntry = { ...entry, data: [reading('2024/04/02')], timestamp: entry.timestamp + 1 };
+    localStorage.setItem('consumption_data_ES0021000000123456AB_2024/04_2024/04_0_5', JSON.stringify(aprilEntry));
+
+    const items = new Map();
+    const store = { set: async (key, item) => { items.set(key, item); } };
+
+    await expect(migrateLocalStorageEntries(store)).resolves.toBe(2);
+    expect([...items.keys()].sort()).toEqual([
+      'consumption_data_ES0021000000123456AB_2024/03_2024/03_0_5',
+      'consumption_data_ES0021000000123456AB_2024/04_2024/04_0_5'
+    ]);
+    expect(items.get('consumption_data_ES0021000000123456AB_2024/03_2024/03_0_5'))
+      .toEqual({ ...entry, data: [reading('2024/03/01'), reading('2024/03/02')] });
+    expect(items.get('consumption_data_ES0021000000123456AB_2024/04_2024/04_0_5')).toEqual(aprilEntry);
+    expect(localStorage.length).toBe(0);
+  });
+});
+
+describe('cached supplies', () => {
+  const entry = (data, timestamp) => ({ data, timestamp, expires: timestamp + 86400000 });
+
+  test('group monthly consumption, contract and supply entries by CUPS', () => {
+    const supplies = summarizeCacheEntries([
+      { key: 'consumption_data_ES002_2025/02_2025/02_0_5', item: entry([], 1740000000000) },
+      { key: 'consumption_data_ES002_2025/01_2025/01_0_5', item: entry([], 1739000000000) },
+      { key: 'consumption_data_ES001_2025/01_2025/01_1_5', item: entry([], 1738000000000) },
+      { key: 'contract_detail_ES002_2', item: entry({ p1: 4.6 }, 1739000000000) },
+      { key: 'supply_data_ES002', item: entry({ cups: 'ES002', addressInfo: 'Calle Mayor 1' }, 1739000000000) }
+    ]);
+
+    expect(supplies.map(supply => supply.cups)).toEqual(['ES001', 'ES002']);
+    expect(supplies[1].months.map(month => month.month)).toEqual(['2025/01', '2025/02']);
+    expect(supplies[1].contractDetails).toEqual({ p1: 4.6 });
+    expect(supplies[1].supply.addressInfo).toBe('Calle Mayor 1');
+    expect(supplies[1].cachedAt).toEqual(new Date(1740000000000));
+    expect(supplies[0].months[0].measurementType).toBe(1);
+    expect(supplies[1].keys).toHaveLength(4);
+    expect(supplies[1].size).toBeGreaterThan(0);
+  });
+
+  test('skip supplies without monthly consumption data', () => {
+    const supplies = summarizeCacheEntries([
+      { key: 'consumption_data_ES003_2024/03_2025/02_0_5', item: entry([], 1740000000000) },
+      { key: 'contract_detail_ES003_2', item: entry({ p1: 4.6 }, 1740000000000) }
+    ]);
+
+    expect(supplies).toEqual([]);
+  });
+
+  test('keep supplies of authorized NIFs apart', () => {
+    const cacheId = getSupplyCacheId({ cups: 'ES002', authorizedNif: '12345678Z' });
+    const supplies = summarizeCacheEntries([
+      { key: 'consumption_data_ES002_2025/01_2025/01_0_5', item: entry([], 1739000000000) },
+      { key: createMonthlyConsumptionCacheKey(cacheId, new Date(2025, 0, 1), 0, 5), item: entry([], 1740000000000) },
+      { key: createContractCacheKey(cacheId, '2'), item: entry({ p1: 3.3 }, 1740000000000) }
+    ]);
+
+    expect(supplies.map(supply => [supply.cups, supply.authorizedNif])).toEqual([['ES002', null], ['ES002', '12345678Z']]);
+    expect(supplies[1].cacheId).toBe('ES002@12345678Z');
+    expect(supplies[1].contractDetails).toEqual({ p1: 3.3 });
+    expect(supplies[0].contractDetails).toBeNull();
+  });
+});
+
+describe('cache panel helpers', () => {
+  test('group cached months into consecutive ranges per curve', () => {
+    const months = ['2024/11', '2024/12', '2025/01', '2025/03'].map(month => ({ month, measurementType: 0 }))
+      .concat([{ month: '2025/01', measurementType: 1 }]);
+
+    expect(groupCachedMonthRanges(months)).toEqual([
+      { startMonth: '2024/11', endMonth: '2025/01', measurementType: 0, count: 3 },
+      { startMonth: '2025/03', endMonth: '2025/03', measurementType: 0, count: 1 },
+      { startMonth: '2025/01', endMonth: '2025/01', measurementType: 1, count: 1 }
+    ]);
+  });
+
+  test('describe the real age of cached data', () => {
+    const now = new Date(2025, 4, 15, 12, 0);
+
+    expect(formatRelativeTime(new Date(2025, 4, 15, 11, 50), now)).toBe('hace 10 minutos');
+    expect(formatRelativeTime(new Date(2025, 4, 15, 7, 0), now)).toBe('hace 5 horas');
+    expect(formatRelativeTime(new Date(2025, 4, 12, 12, 0), now)).toBe('hace 3 días');
+  });
+
+  test('format cache sizes', () => {
+    expect(formatCacheSize(512)).toBe('512 B');
+    expect(formatCacheSize(20480)).toBe('20 KB');
+    expect(formatCacheSize(1.5 * 1024 * 1024)).toBe('1,50 MB');
+  });
+});
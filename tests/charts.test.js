@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+import { getNiceMax, renderStackedBarChart, renderCurveChart } from '../charts.js';
+import { buildDailyTotals, buildDayCurve, enrichData } from '../script.js';
+
+const periodOptions = { tariff: '2.0TD', region: 'peninsula' };
+
+describe('getNiceMax', () => {
+  test('rounds up to a tidy axis limit', () => {
+    expect(getNiceMax(0)).toBe(1);
+    expect(getNiceMax(0.7)).toBe(1);
+    expect(getNiceMax(2.2)).toBe(2.5);
+    expect(getNiceMax(312)).toBe(500);
+    expect(getNiceMax(1000)).toBe(1000);
+  });
+});
+
+describe('chart rendering', () => {
+  test('stacks the segments of each bar and marks the selectable ones', () => {
+    const svg = renderStackedBarChart([
+      { label: 'Mar-24', title: 'Mar <2024>', selectable: true, segments: [{ value: 2, className: 'chart-p1' }, { value: 3, className: 'chart-p3' }] },
+      { label: 'Apr-24', segments: [{ value: 0, className: 'chart-p1' }, { value: 0, className: 'chart-p3' }] }
+    ], { title: 'Consumo', unit: 'kWh' });
+
+    expect(svg.match(/class="chart-bar /g)).toHaveLength(4);
+    expect(svg.match(/data-chart-index="(\d+)"/g)).toEqual(['data-chart-index="0"']);
+    expect(svg).toContain('<title>Mar &lt;2024&gt;</title>');
+  });
+
+  test('draws the surplus curve only when there is surplus', () => {
+    const points = [
+      { label: '01:00', value: 0.5, sideValue: 0, bandClassName: 'chart-p3' },
+      { label: '02:00', value: 0.4, sideValue: 0, bandClassName: 'chart-p3' }
+    ];
+
+    expect(renderCurveChart(points).match(/<polyline/g)).toHaveLength(1);
+    points[1].sideValue = 0.2;
+    expect(renderCurveChart(points).match(/<polyline/g)).toHaveLength(2);
+    expect(renderCurveChart(points).match(/class="chart-band chart-p3"/g)).toHaveLength(2);
+  });
+});
+
+describe('drill-down data', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const enrichedData = () => enrichData([
+    { date: '2024/03/12', time: '01:00', consumptionKWh: 0.5 },
+    { date: '2024/03/12', time: '11:00', consumptionKWh: 1, surplusEnergyKWh: 0.3 },
+    { date: '2024/03/12', time: '20:00', consumptionKWh: 2 },
+    { date: '2024/03/13', time: '01:00', consumptionKWh: 0.25 },
+    { date: '2024/04/01', time: '01:00', consumptionKWh: 4 }
+  ], periodOptions);
+
+  test('adds up each day of a month by period', () => {
+    expect(buildDailyTotals(enrichedData(), '2024/03', ['P1', 'P2', 'P3'])).toEqual([
+      { date: '2024/03/12', P1: 3, P2: 0, P3: 0.5, surplusEnergyKWh: 0.3 },
+      { date: '2024/03/13', P1: 0, P2: 0, P3: 0.25, surplusEnergyKWh: 0 }
+    ]);
+  });
+
+  test('lists the readings of a day with their period', () => {
+    expect(buildDayCurve(enrichedData(), '2024/03/12')).toEqual([
+      { time: '01:00', period: 'P3', consumptionKWh: 0.5, surplusEnergyKWh: 0 },
+      { time: '11:00', period: 'P1', consumptionKWh: 1, surplusEnergyKWh: 0.3 },
+      { time: '20:00', period: 'P1', consumptionKWh: 2, surplusEnergyKWh: 0 }
+    ]);
+  });
+});
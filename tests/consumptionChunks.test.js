@@ -0,0 +1,179 @@
+import { jest } from '@jest/globals';
+import { getConsumptionDataInChunks, splitMonthRange, formatDate, ApiErrorHandler, defaultErrorHandler } from '../apiCalls.js';
+import { mockResponse } from './helpers/mockFetch.js';
+
+const requestedMonth = url => new URL(url).searchParams.get('startDate');
+
+describe('splitMonthRange', () => {
+  test('splits a range into single months', () => {
+    const chunks = splitMonthRange(new Date(2024, 10, 1), new Date(2025, 1, 1));
+
+    expect(chunks.map(chunk => formatDate(chunk.startDate))).toEqual(['2024/11', '2024/12', '2025/01', '2025/02']);
+    expect(chunks.every(chunk => formatDate(chunk.startDate) === formatDate(chunk.endDate))).toBe(true);
+  });
+
+  test('groups months and trims the last chunk', () => {
+    const chunks = splitMonthRange(new Date(2024, 0, 1), new Date(2024, 6, 1), 3);
+
+    expect(chunks.map(chunk => [formatDate(chunk.startDate), formatDate(chunk.endDate)])).toEqual([
+      ['2024/01', '2024/03'],
+      ['2024/04', '2024/06'],
+      ['2024/07', '2024/07']
+    ]);
+  });
+});
+
+describe('getConsumptionDataInChunks', () => {
+  const startDate = new Date(2024, 0, 1);
+  const endDate = new Date(2024, 2, 1);
+  const fetchChunks = (options = {}) => getConsumptionDataInChunks(
+    'Bearer token', 'ES0021000000123456AB', '2', startDate, endDate, 0, 5, null,
+    { retryDelayMs: 0, ...options }
+  );
+
+  const { baseDelayMs, maxRetries } = defaultErrorHandler;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    defaultErrorHandler.baseDelayMs = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete globalThis.fetch;
+    Object.assign(defaultErrorHandler, { baseDelayMs, maxRetries });
+  });
+
+  test('merges the months in order and reports progress', async () => {
+    globalThis.fetch = jest.fn(async url => mockResponse(200, {
+      timeCurve: [{ date: requestedMonth(url) + '/01', time: '01:00', consumptionKWh: 1 }]
+    }));
+    const onProgress = jest.fn();
+
+    const data = await fetchChunks({ onProgress });
+
+    expect(data.map(item => item.date)).toEqual(['2024/01/01', '2024/02/01', '2024/03/01']);
+    expect(onProgress.mock.calls.map(([progress]) => `${progress.completed}/${progress.total}`)).toEqual(['1/3', '2/3', '3/3']);
+  });
+
+  test('retries a request that failed with a server error', async () => {
+    let februaryAttempts = 0;
+    globalThis.fetch = jest.fn(async url => {
+      const month = requestedMonth(url);
+      if (month === '2024/02' && ++februaryAttempts === 1) {
+        return mockResponse(500, { message: 'Internal server error' });
+      }
+      return mockResponse(200, { timeCurve: [{ date: month + '/01', time: '01:00', consumptionKWh: 1 }] });
+    });
+
+    const data = await fetchChunks();
+
+    expect(data.map(item => item.date)).toEqual(['2024/01/01', '2024/02/01', '2024/03/01']);
+    expect(globalThis.fetch.mock.calls.map(([url]) => requestedMonth(url)))
+      .toEqual(['2024/01', '2024/02', '2024/02', '2024/03']);
+  });
+
+  test('retries only the chunk that failed once its requests give up', async () => {
+    defaultErrorHandler.maxRetries = 0;
+    let februaryAttempts = 0;
+    globalThis.fetch = jest.fn(async url => {
+      const month = requestedMonth(url);
+      if (month === '2024/02' && ++februaryAttempts === 1) {
+        return mockResponse(502, { message: 'Bad gateway' });
+      }
+      return mockResponse(200, { timeCurve: [{ date: month + '/01', time: '01:00', consumptionKWh: 1 }] });
+    });
+
+    const data = await fetchChunks();
+
+    expect(data.map(item => item.date)).toEqual(['2024/01/01', '2024/02/01', '2024/03/01']);
+    expect(globalThis.fetch.mock.calls.map(([url]) => requestedMonth(url)))
+      .toEqual(['2024/01', '2024/02', '2024/03', '2024/02']);
+  });
+
+  test('keeps the successful months when a chunk keeps failing', async () => {
+    globalThis.fetch = jest.fn(async url => {
+      const month = requestedMonth(url);
+      if (month === '2024/03') return mockResponse(500, { message: 'Internal server error' });
+      return mockResponse(200, { timeCurve: [{ date: month + '/01', time: '01:00', consumptionKWh: 1 }] });
+    });
+
+    const error = await fetchChunks().catch(err => err);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.partialData.map(item => item.date)).toEqual(['2024/01/01', '2024/02/01']);
+    expect(error.failedChunks.map(chunk => formatDate(chunk.startDate))).toEqual(['2024/03']);
+    // The first request and its retries; the chunk is not retried on top of them
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2 + 1 + defaultErrorHandler.maxRetries);
+  });
+
+  test('does not retry a chunk that failed with a client error', async () => {
+    globalThis.fetch = jest.fn(async url => {
+      const month = requestedMonth(url);
+      if (month === '2024/02') return mockResponse(404, { message: 'Not found' });
+      return mockResponse(200, { timeCurve: [{ date: month + '/01', time: '01:00', consumptionKWh: 1 }] });
+    });
+
+    const error = await fetchChunks().catch(err => err);
+
+    expect(error.partialData.map(item => item.date)).toEqual(['2024/01/01', '2024/03/01']);
+    expect(error.failedChunks.map(chunk => formatDate(chunk.startDate))).toEqual(['2024/02']);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('stops at once on rate limit errors', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(429, { message: 'Too many requests' }));
+
+    await expect(fetchChunks()).rejects.toThrow('Rate limit');
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops at once on authentication errors', async () => {
+    globalThis.sessionStorage = { removeItem: jest.fn() };
+    globalThis.fetch = jest.fn(async () => mockResponse(401, { message: 'Unauthorized' }));
+
+    await expect(fetchChunks()).rejects.toThrow('authentication');
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    delete globalThis.sessionStorage;
+  });
+
+  test('retries network failures', async () => {
+    let attempts = 0;
+    globalThis.fetch = jest.fn(async url => {
+      if (++attempts === 1) throw new TypeError('Failed to fetch');
+      return mockResponse(200, { timeCurve: [{ date: requestedMonth(url) + '/01', time: '01:00', consumptionKWh: 1 }] });
+    });
+
+    const data = await fetchChunks();
+
+    expect(data).toHaveLength(3);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('ApiErrorHandler retries', () => {
+  const handler = new ApiErrorHandler({ maxRetries: 3, baseDelayMs: 1000, maxDelayMs: 5000 });
+  const httpError = status => Object.assign(new Error(`API call failed: ${status}`), { status });
+
+  test('retry server and network errors only', () => {
+    expect(handler.shouldRetry(httpError(500), 0)).toBe(true);
+    expect(handler.shouldRetry(httpError(504), 2)).toBe(true);
+    expect(handler.shouldRetry(new TypeError('Failed to fetch'), 0)).toBe(true);
+    expect(handler.shouldRetry(httpError(401), 0)).toBe(false);
+    expect(handler.shouldRetry(httpError(429), 0)).toBe(false);
+    expect(handler.shouldRetry(httpError(404), 0)).toBe(false);
+  });
+
+  test('give up after maxRetries', () => {
+    expect(handler.shouldRetry(httpError(502), 3)).toBe(false);
+  });
+
+  test('back off exponentially with jitter, up to the maximum delay', () => {
+    expect(handler.getRetryDelay(0, () => 0)).toBe(500);
+    expect(handler.getRetryDelay(0, () => 0.999999)).toBe(1000);
+    expect(handler.getRetryDelay(1, () => 0)).toBe(1000);
+    expect(handler.getRetryDelay(2, () => 0.5)).toBe(3000);
+    expect(handler.getRetryDelay(10, () => 0)).toBe(2500);
+  });
+});
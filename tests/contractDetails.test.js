@@ -0,0 +1,46 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'node:fs';
+import { getContractDetail } from '../apiCalls.js';
+import { getContractInfoItems } from '../script.js';
+import { mockResponse } from './helpers/mockFetch.js';
+
+const contractResponse = JSON.parse(
+  readFileSync(new URL('../mock/data/api-private/api/get-contract-detail-v2.json', import.meta.url), 'utf8')
+);
+
+describe('contract details', () => {
+  afterEach(() => {
+    delete globalThis.fetch;
+  });
+
+  test('keep the full contract sent by Datadis', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(200, contractResponse));
+
+    const contractDetails = await getContractDetail('Bearer token', 'ES0021000000123456AB', '2');
+
+    expect(contractDetails.p1).toBe(3.75);
+    expect(contractDetails.contract).toMatchObject({
+      marketer: 'UMEME ENERGIA SOCIEDAD LIMITADA',
+      modePowerControl: 'ICP',
+      maxPowerInstall: '5.5'
+    });
+  });
+
+  test('are listed for the supply information card', () => {
+    const items = getContractInfoItems({ tariff: '2.0TD', contract: contractResponse.contract[0] });
+    const values = Object.fromEntries(items.map(item => [item.label, item.value]));
+
+    expect(values['Comercializadora']).toBe('UMEME ENERGIA SOCIEDAD LIMITADA');
+    expect(values['Tarifa de acceso']).toBe('2.0TD · BAJA TENSION y POTENCIA <= 15 kW');
+    expect(values['Potencia contratada']).toBe('P1: 3,75 kW · P2: 4,45 kW');
+    expect(values['Potencia máxima admisible']).toBe('5,50 kW');
+    expect(values['Inicio del contrato']).toBe('03/03/2024');
+    expect(values['Fin del contrato']).toBe('En vigor');
+    // Datadis sends no self-consumption for this supply
+    expect(values).not.toHaveProperty('Autoconsumo');
+  });
+
+  test('are empty for contracts cached without the full details', () => {
+    expect(getContractInfoItems({ p1: 3.45, p2: 3.45 })).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { getContractDetail } from '../apiCalls.js';
+import { getMonthlyContractedPowers, buildJsonExportData } from '../script.js';
+import { mockResponse } from './helpers/mockFetch.js';
+
+const contracts = [
+  { startDate: '2024/06/11', endDate: '', contractedPowerkW: [4.6, 4.6], codeFare: '2T' },
+  { startDate: '2023/01/10', endDate: '2024/06/10', contractedPowerkW: [3.45, 3.45], codeFare: '2T' }
+];
+
+describe('getContractDetail with several contract entries', () => {
+  afterEach(() => {
+    delete globalThis.fetch;
+  });
+
+  test('uses the contract in force and keeps the history', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(200, { contract: [...contracts].reverse() }));
+
+    const contractDetails = await getContractDetail('Bearer token', 'ES0021000000123456AB', '2');
+
+    expect(contractDetails.contractedPowerkW).toEqual([4.6, 4.6]);
+    expect(contractDetails.contract.startDate).toBe('2024/06/11');
+    expect(contractDetails.contracts).toHaveLength(2);
+  });
+});
+
+describe('getMonthlyContractedPowers', () => {
+  const contractDetails = { p1: 4.6, p2: 4.6, contractedPowerkW: [4.6, 4.6], contracts };
+
+  test('gives each month the power in force and prorates the month of the change', () => {
+    const powers = getMonthlyContractedPowers(contractDetails, ['2024/05', '2024/06', '2024/07'], 2);
+
+    expect(powers['2024/05']).toEqual([3.45, 3.45]);
+    // 10 days at 3,45 kW and 20 days at 4,6 kW
+    expect(powers['2024/06']).toEqual([4.217, 4.217]);
+    expect(powers['2024/07']).toEqual([4.6, 4.6]);
+  });
+
+  test('uses the current power without a history of changes', () => {
+    const powers = getMonthlyContractedPowers({ p1: 3, p2: 6 }, ['2024/05', '2024/06'], 2);
+
+    expect(powers['2024/05']).toEqual([3, 6]);
+    expect(powers['2024/06']).toEqual([3, 6]);
+  });
+
+  test('ignores the days before the first contract', () => {
+    const powers = getMonthlyContractedPowers(contractDetails, ['2023/01'], 2);
+
+    expect(powers['2023/01']).toEqual([3.45, 3.45]);
+  });
+
+  test('leaves the gap between two contracts out', () => {
+    const powers = getMonthlyContractedPowers({
+      contractedPowerkW: [5.75, 5.75],
+      contracts: [
+        { startDate: '2024/07/01', endDate: '', contractedPowerkW: [5.75, 5.75] },
+        { startDate: '2023/01/10', endDate: '2024/05/15', contractedPowerkW: [3.45, 3.45] }
+      ]
+    }, ['2024/05', '2024/06', '2024/07'], 2);
+
+    // Only the 15 days in force of the old contract count in May
+    expect(powers['2024/05']).toEqual([3.45, 3.45]);
+    expect(powers['2024/06']).toEqual(['', '']);
+    expect(powers['2024/07']).toEqual([5.75, 5.75]);
+  });
+
+  test('applies a single contract from its start date only', () => {
+    const powers = getMonthlyContractedPowers({
+      contractedPowerkW: [4.6, 4.6],
+      contracts: [{ startDate: '2024/06/11', endDate: '', contractedPowerkW: [4.6, 4.6] }]
+    }, ['2024/05', '2024/06', '2024/07'], 2);
+
+    expect(powers['2024/05']).toEqual(['', '']);
+    expect(powers['2024/06']).toEqual([4.6, 4.6]);
+    expect(powers['2024/07']).toEqual([4.6, 4.6]);
+  });
+});
+
+describe('buildJsonExportData with a power change', () => {
+  test('exports the power of each month', () => {
+    const months = ['2024/05', '2024/06', '2024/07'];
+    const data = Object.fromEntries(months.map(month => [month, { days: 30, P1: 1, P2: 1, P3: 1, surplusEnergyKWh: 0 }]));
+
+    const exportData = buildJsonExportData(
+      { summaries: { byMonth: { months, data } } },
+      { contractedPowerkW: [4.6, 4.6], contracts }
+    );
+
+    expect(exportData.map(entry => entry.potenciaP1)).toEqual([3.45, 4.22, 4.6]);
+  });
+});
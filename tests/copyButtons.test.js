@@ -1,6 +1,9 @@
 import { jest } from '@jest/globals';
 import {
   buildJsonExportData,
+  prepareMonthlyData,
+  getDefaultDateRange,
+  normalizeDateRange,
   copyTableToClipboard,
   copyWebComparatorJsonToClipboard
 } from '../script.js';
@@ -142,4 +145,107 @@ describe('copy buttons payloads', () => {
     copyWebComparatorJsonToClipboard(exportData);
     expect(navigator.clipboard.writeText).toHaveBeenCalledWith(JSON.stringify(expectedJson, null, 2));
   });
+
+  test('copy buttons work with tables of any length', () => {
+    const table = {
+      rows: [
+        createRow('Facturas', ['1', '2', '3'], true),
+        createRow('Descripción', ['Jan-25', 'Feb-25', 'Mar-25'], true),
+        createRow('Días', ['31', '28', '31'], true),
+        createRow('Punta', ['3,0', '3,0', '3,0'], true),
+        createRow('Valle', ['6,0', '6,0', '6,0'], false),
+        createRow('Punta', ['1,00', '2,00', '3,00'], true),
+        createRow('Llana', ['1,00', '2,00', '3,00'], false),
+        createRow('Valle', ['1,00', '2,00', '3,00'], false),
+        createRow('Suma (total)', ['3,00', '6,00', '9,00'], false),
+        createRow('Excedentes (kWh)', ['0,10', '0,20', '0,30'], false)
+      ]
+    };
+
+    copyTableToClipboard(table, 'excedentes');
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith('0,10\t0,20\t0,30');
+
+    copyTableToClipboard(table, 'all');
+    expect(navigator.clipboard.writeText).toHaveBeenLastCalledWith([
+      'Jan-25\tFeb-25\tMar-25',
+      '31\t28\t31',
+      '3,0\t3,0\t3,0',
+      '6,0\t6,0\t6,0',
+      '1,00\t2,00\t3,00',
+      '1,00\t2,00\t3,00',
+      '1,00\t2,00\t3,00'
+    ].join('\n'));
+  });
+
+  test('Copiar Potencias y Energía leaves out the maxímetro rows', () => {
+    const table = buildFakeTable();
+    const maxPowerRow = (label, hasLeadingGroupCell) => ({
+      ...createRow(label, Array(12).fill('2,50'), hasLeadingGroupCell),
+      classList: { contains: className => className === 'max-power-row' }
+    });
+    table.rows.splice(5, 0, maxPowerRow('Punta', true), maxPowerRow('Valle', false));
+
+    copyTableToClipboard(table, 'all');
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith(expectedCopyAll);
+  });
+
+  test('Copiar Potencias y Energía warns when the table is simulated', async () => {
+    const table = { ...buildFakeTable(), classList: { contains: className => className === 'simulated' } };
+
+    copyTableToClipboard(table, 'all');
+    await Promise.resolve();
+
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith(expectedCopyAll);
+    expect(alert).toHaveBeenCalledWith(expect.stringMatching(/^Atención: son datos SIMULADOS/));
+  });
+
+  test('JSON export includes six periods for 3.0TD supplies', () => {
+    const processedData = {
+      summaries: {
+        periods: ['P1', 'P2', 'P3', 'P4', 'P5', 'P6'],
+        byMonth: {
+          months: ['2025/01'],
+          data: { '2025/01': { days: 31, P1: 10, P2: 20, P3: 0, P4: 0, P5: 0, P6: 30.5, surplusEnergyKWh: 0 } }
+        }
+      }
+    };
+    const exportData = buildJsonExportData(processedData, { contractedPowerkW: [15, 15, 15, 15, 15, 20] });
+
+    expect(exportData).toEqual([{
+      name: 'Jan-25', dias: 31,
+      consumoP1: 10, consumoP2: 20, consumoP3: 0, consumoP4: 0, consumoP5: 0, consumoP6: 30.5,
+      potenciaP1: 15, potenciaP2: 15, potenciaP3: 15, potenciaP4: 15, potenciaP5: 15, potenciaP6: 20,
+      excedentes: 0
+    }]);
+  });
+});
+
+describe('date range', () => {
+  test('default range is the last 12 complete months', () => {
+    expect(getDefaultDateRange(new Date(2025, 2, 15))).toEqual({ startMonth: '2024/03', endMonth: '2025/02' });
+    expect(getDefaultDateRange(new Date(2025, 2, 15), 24)).toEqual({ startMonth: '2023/03', endMonth: '2025/02' });
+  });
+
+  test('ranges are ordered and capped at the current month', () => {
+    const now = new Date(2025, 2, 15);
+    expect(normalizeDateRange({ startMonth: '2025/01', endMonth: '2024/06' }, now)).toEqual({ startMonth: '2024/06', endMonth: '2025/01' });
+    expect(normalizeDateRange({ startMonth: '2024/06', endMonth: '2026/01' }, now)).toEqual({ startMonth: '2024/06', endMonth: '2025/03' });
+    expect(normalizeDateRange({ startMonth: '2024-06', endMonth: '2025/01' }, now)).toBeNull();
+  });
+
+  test('monthly data and exports follow the chosen range', () => {
+    const summaryData = { '2023/02': { P1: 1, P2: 2, P3: 3, surplusEnergyKWh: 0 } };
+    const byMonth = prepareMonthlyData(summaryData, ['P1', 'P2', 'P3'], { startMonth: '2023/01', endMonth: '2024/12' });
+
+    expect(byMonth.months).toHaveLength(24);
+    expect(byMonth.months[0]).toBe('2023/01');
+    expect(byMonth.months[23]).toBe('2024/12');
+    expect(byMonth.data['2023/02']).toMatchObject({ P1: 1, days: 28 });
+    expect(byMonth.data['2024/02'].days).toBe(29);
+
+    const exportData = buildJsonExportData({ summaries: { byMonth } }, contractDetails);
+    expect(exportData).toHaveLength(24);
+    expect(exportData[1]).toMatchObject({ name: 'Feb-23', consumoP1: 1, consumoP3: 3 });
+  });
+
 });
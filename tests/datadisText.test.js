@@ -0,0 +1,89 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { renderDistributorWarnings, renderConsumptionTable, renderSupplySelector, renderCachePanel, showSupplyComparisonModal, processConsumptionData } from '../script.js';
+
+describe('text sent by Datadis', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    document.body.innerHTML = '<div id="table-container"><div class="supply-info-card"></div></div>';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('distributor warnings are not parsed as HTML', () => {
+    renderDistributorWarnings([
+      { distributorName: '<img src=x onerror=alert(1)>', distributorCode: '9', errorCode: '99', errorDescription: 'Fallo <b>grave</b>' }
+    ]);
+
+    const item = document.querySelector('.distributor-warnings li');
+    expect(item.querySelector('img')).toBeNull();
+    expect(item.querySelector('b')).toBeNull();
+    expect(item.textContent).toContain('<img src=x onerror=alert(1)>:');
+    expect(item.textContent).toContain('Fallo <b>grave</b>');
+  });
+
+  test('contract details are shown as text in the supply card', () => {
+    const processedData = processConsumptionData([], { tariff: '2.0TD' }, { startMonth: '2024/03', endMonth: '2024/03' });
+    renderConsumptionTable(processedData, 'Calle <i>Mayor</i> 1', 'ES0001', {
+      tariff: '2.0TD',
+      contract: {
+        marketer: '<img src=x onerror=alert(1)>',
+        accessFare: 'BAJA TENSION y POTENCIA <= 15 kW'
+      }
+    });
+
+    const values = [...document.querySelectorAll('.supply-info-item')].map(item => item.textContent.replace(/\s+/g, ' ').trim());
+    expect(document.querySelector('.supply-info-card img, .supply-info-card i')).toBeNull();
+    expect(values).toContain('Dirección: Calle <i>Mayor</i> 1');
+    expect(values).toContain('Comercializadora: <img src=x onerror=alert(1)>');
+    expect(values.some(value => value.includes('BAJA TENSION y POTENCIA <= 15 kW'))).toBe(true);
+  });
+
+  test('supply addresses are shown as text in the supply selector', () => {
+    document.body.innerHTML = '<div class="dashboard-header"><div class="user-actions"></div></div>';
+    renderSupplySelector([
+      { cups: 'ES0001', addressInfo: 'Calle <img src=x onerror=alert(1)> 1' },
+      { cups: 'ES0002"><b>x</b>', addressInfo: '' }
+    ], 'ES0001', { onSelect: jest.fn(), onCompare: jest.fn() });
+
+    const options = [...document.querySelectorAll('#supplySelect option')];
+    expect(document.querySelector('.supply-switcher img, .supply-switcher b')).toBeNull();
+    expect(options.map(option => option.textContent.trim())).toEqual(['Calle <img src=x onerror=alert(1)> 1', 'ES0002"><b>x</b>']);
+    expect(options[1].value).toBe('ES0002"><b>x</b>');
+  });
+
+  test('cached supplies are shown as text in the cache panel', async () => {
+    const entry = data => JSON.stringify({ data, timestamp: 1740000000000, expires: 1740086400000 });
+    localStorage.setItem('consumption_data_ES0001<b>x</b>_2025/01_2025/01_0_5', entry([]));
+    localStorage.setItem('supply_data_ES0001<b>x</b>', entry({ addressInfo: 'Calle <img src=x onerror=alert(1)> 1' }));
+
+    await renderCachePanel(null);
+
+    const info = document.querySelector('.cache-entry-info');
+    expect(info.querySelector('img, b')).toBeNull();
+    expect(info.textContent).toContain('ES0001<b>x</b>');
+    expect(info.textContent).toContain('Calle <img src=x onerror=alert(1)> 1');
+    expect(document.querySelector('.cache-delete-btn').dataset.cacheId).toBe('ES0001<b>x</b>');
+    localStorage.clear();
+  });
+
+  test('supply addresses are shown as text in the comparison modal', async () => {
+    const chosen = showSupplyComparisonModal([
+      { cups: 'ES0001', addressInfo: 'Calle <img src=x onerror=alert(1)> 1' },
+      { cups: 'ES0002<b>x</b>' }
+    ], 'ES0001');
+
+    const list = document.querySelector('.modal-overlay .supply-list');
+    expect(list.querySelector('img, b')).toBeNull();
+    expect(list.textContent).toContain('Calle <img src=x onerror=alert(1)> 1');
+    expect(list.textContent).toContain('ES0002<b>x</b>');
+
+    document.querySelector('.modal-cancel-btn').click();
+    await expect(chosen).resolves.toBeNull();
+  });
+});
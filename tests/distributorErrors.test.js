@@ -0,0 +1,65 @@
+import { jest } from '@jest/globals';
+import { getSuppliesData, getContractDetail } from '../apiCalls.js';
+import { groupDistributorErrors } from '../script.js';
+import { mockResponse } from './helpers/mockFetch.js';
+
+const distributorError = [
+  { distributorCode: '5', distributorName: 'UFD', errorCode: '10', errorDescription: 'Error interno distribuidora' },
+  { distributorCode: '1', distributorName: 'VIESGO', errorCode: '2', errorDescription: 'La distribuidora no puede facilitar información a ese NIF' },
+  { distributorCode: '4', distributorName: 'ASEME', errorCode: '2', errorDescription: 'La distribuidora no puede facilitar información a ese NIF' }
+];
+
+describe('distributor errors from Datadis', () => {
+  afterEach(() => {
+    delete globalThis.fetch;
+  });
+
+  test('are returned with the supplies', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(200, {
+      supplies: [{ cups: 'ES0021000000123456AA', address: 'LLEIDA 1', distributorCode: '2' }],
+      distributorError
+    }));
+
+    const result = await getSuppliesData('Bearer token', '2');
+
+    expect(result.supplies).toHaveLength(1);
+    expect(result.distributorErrors).toHaveLength(3);
+    expect(result.distributorErrors[0]).toEqual({
+      distributorCode: '5',
+      distributorName: 'UFD',
+      errorCode: '10',
+      errorDescription: 'Error interno distribuidora'
+    });
+  });
+
+  test('are returned with the contract, even when it is empty', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(200, { contract: [], distributorError: distributorError.slice(0, 1) }));
+
+    const contract = await getContractDetail('Bearer token', 'ES0021000000123456AA', '5');
+
+    expect(contract.contractedPowerkW).toEqual([]);
+    expect(contract.distributorErrors.map(error => error.distributorName)).toEqual(['UFD']);
+  });
+});
+
+describe('groupDistributorErrors', () => {
+  test('groups distributors by error code with a friendly message', () => {
+    const warnings = groupDistributorErrors(distributorError);
+
+    expect(warnings.map(warning => warning.errorCode)).toEqual(['10', '2']);
+    expect(warnings[1].distributors).toEqual(['VIESGO', 'ASEME']);
+    expect(warnings[1].message).toContain('NIF');
+  });
+
+  test('drops the duplicates repeated in every response', () => {
+    expect(groupDistributorErrors([...distributorError, ...distributorError])[1].distributors).toEqual(['VIESGO', 'ASEME']);
+  });
+
+  test('falls back to the Datadis description for unknown codes', () => {
+    const [warning] = groupDistributorErrors([
+      { distributorCode: '8', distributorName: 'CIDE', errorCode: '99', errorDescription: 'Servicio no disponible' }
+    ]);
+
+    expect(warning.message).toBe('Servicio no disponible');
+  });
+});
@@ -1,4 +1,9 @@
-import { getPeriod } from '../script.js';
+import { getPeriod, getPeriodOptions, enrichData, processConsumptionData } from '../script.js';
+import {
+  getEasterSunday, getNationalHolidays, detectTariff, getTariffPeriods, detectRegion,
+  resolveReadingInterval, getReadingResolutionOptions,
+  detectCommunity, getRegionalHolidays, isOffPeakDay
+} from '../period.js';
 
 describe('getPeriod', () => {
   test('returns P3 for National holidays', () => {
@@ -13,6 +18,17 @@ describe('getPeriod', () => {
     expect(getPeriod("2025/12/25", "13:00")).toBe('P3');
   });
 
+  test('returns P3 for Good Friday in any year', () => {
+    expect(getPeriod("2024/03/29", "13:00")).toBe('P3');
+    expect(getPeriod("2025/04/18", "13:00")).toBe('P3');
+    expect(getPeriod("2026/04/03", "13:00")).toBe('P3');
+  });
+
+  test('does not treat past Good Friday dates as holidays in other years', () => {
+    expect(getPeriod("2025/03/28", "13:00")).toBe('P1');
+    expect(getPeriod("2024/04/18", "13:00")).toBe('P1');
+  });
+
   test('returns P3 for weekends', () => {
     expect(getPeriod("2024/03/02", "13:00")).toBe('P3'); // Saturday
     expect(getPeriod("2024/03/03", "13:00")).toBe('P3'); // Sunday
@@ -47,4 +63,265 @@ describe('getPeriod', () => {
     expect(getPeriod("2024/03/01", "05:00")).toBe('P3');
     expect(getPeriod("2024/03/01", "07:59")).toBe('P3');
   });
-}); 
\ No newline at end of file
+}); 
+describe('holiday calendar', () => {
+  test('computes Easter Sunday', () => {
+    expect(getEasterSunday(2024)).toEqual(new Date(2024, 2, 31));
+    expect(getEasterSunday(2025)).toEqual(new Date(2025, 3, 20));
+    expect(getEasterSunday(2026)).toEqual(new Date(2026, 3, 5));
+    expect(getEasterSunday(2038)).toEqual(new Date(2038, 3, 25));
+  });
+
+  test('includes fixed and Easter-based national holidays per year', () => {
+    const holidays2025 = getNationalHolidays(2025);
+    expect(holidays2025.has('01/01')).toBe(true);
+    expect(holidays2025.has('12/08')).toBe(true);
+    expect(holidays2025.has('04/18')).toBe(true);
+    expect(holidays2025.has('03/29')).toBe(false);
+  });
+
+  test('treats weekends and holidays as off-peak days', () => {
+    expect(isOffPeakDay("2025/03/28")).toBe(false);
+    expect(isOffPeakDay("2025/03/29")).toBe(true);
+    expect(isOffPeakDay("2025/04/18")).toBe(true);
+    expect(isOffPeakDay("2025/09/11")).toBe(false);
+    expect(isOffPeakDay("2025/09/11", { regionalHolidays: 'cataluna' })).toBe(true);
+  });
+
+  test('classifies ranges spanning two years with each year\'s calendar', () => {
+    expect(getPeriod("2024/03/29", "12:00")).toBe('P3');
+    expect(getPeriod("2025/03/28", "12:00")).toBe('P1');
+    expect(getPeriod("2025/04/18", "12:00")).toBe('P3');
+  });
+});
+
+describe('getPeriod with 3.0TD tariff', () => {
+  const options = { tariff: '3.0TD' };
+
+  test('returns P6 for nights, weekends and national holidays', () => {
+    expect(getPeriod("2025/01/15", "05:00", options)).toBe('P6');
+    expect(getPeriod("2025/01/18", "12:00", options)).toBe('P6'); // Saturday
+    expect(getPeriod("2025/01/06", "12:00", options)).toBe('P6'); // Epiphany
+  });
+
+  test('maps primary and secondary hours to the season periods', () => {
+    // High season (January)
+    expect(getPeriod("2025/01/15", "09:00", options)).toBe('P2');
+    expect(getPeriod("2025/01/15", "10:00", options)).toBe('P1');
+    expect(getPeriod("2025/01/15", "16:00", options)).toBe('P2');
+    // Medium-high season (March)
+    expect(getPeriod("2025/03/12", "12:00", options)).toBe('P2');
+    expect(getPeriod("2025/03/12", "24:00", options)).toBe('P3');
+    // Medium season (June)
+    expect(getPeriod("2025/06/11", "20:00", options)).toBe('P3');
+    expect(getPeriod("2025/06/11", "23:00", options)).toBe('P4');
+    // Low season (April)
+    expect(getPeriod("2025/04/15", "12:00", options)).toBe('P4');
+    expect(getPeriod("2025/04/15", "16:00", options)).toBe('P5');
+  });
+});
+
+describe('detectTariff', () => {
+  test('uses codeFare when available', () => {
+    expect(detectTariff({ codeFare: '2T' })).toBe('2.0TD');
+    expect(detectTariff({ codeFare: '3T' })).toBe('3.0TD');
+  });
+
+  test('falls back to accessFare', () => {
+    expect(detectTariff({ accessFare: 'BAJA TENSION y POTENCIA <= 15 kW' })).toBe('2.0TD');
+    expect(detectTariff({ accessFare: 'BAJA TENSION y POTENCIA > 15 kW' })).toBe('3.0TD');
+    expect(detectTariff({ accessFare: '3.0TD' })).toBe('3.0TD');
+  });
+
+  test('defaults to 2.0TD', () => {
+    expect(detectTariff({})).toBe('2.0TD');
+    expect(detectTariff(null)).toBe('2.0TD');
+    expect(getTariffPeriods()).toEqual(['P1', 'P2', 'P3']);
+    expect(getTariffPeriods('3.0TD')).toEqual(['P1', 'P2', 'P3', 'P4', 'P5', 'P6']);
+  });
+});
+
+describe('regional schedules', () => {
+  test('Ceuta and Melilla use Punta from 11h to 15h and 19h to 23h', () => {
+    const options = { region: 'ceuta' };
+    expect(getPeriod("2024/03/01", "11:00", options)).toBe('P2');
+    expect(getPeriod("2024/03/01", "12:00", options)).toBe('P1');
+    expect(getPeriod("2024/03/01", "15:00", options)).toBe('P1');
+    expect(getPeriod("2024/03/01", "19:00", options)).toBe('P2');
+    expect(getPeriod("2024/03/01", "23:00", options)).toBe('P1');
+    expect(getPeriod("2024/03/01", "24:00", options)).toBe('P2');
+  });
+
+  test('islands keep the peninsular 2.0TD hours', () => {
+    expect(getPeriod("2024/03/01", "11:00", { region: 'canarias' })).toBe('P1');
+    expect(getPeriod("2024/03/01", "11:00", { region: 'baleares' })).toBe('P1');
+  });
+
+  test('3.0TD seasons follow the electrical system', () => {
+    // July is high season in the peninsula and the Balearic Islands, medium-high in Ceuta
+    expect(getPeriod("2025/07/16", "12:00", { tariff: '3.0TD', region: 'peninsula' })).toBe('P1');
+    expect(getPeriod("2025/07/16", "12:00", { tariff: '3.0TD', region: 'baleares' })).toBe('P1');
+    expect(getPeriod("2025/07/16", "12:00", { tariff: '3.0TD', region: 'ceuta' })).toBe('P2');
+    // April is low season in the Canary Islands
+    expect(getPeriod("2025/04/16", "12:00", { tariff: '3.0TD', region: 'canarias' })).toBe('P4');
+  });
+
+  test('detectRegion uses the postal code, then the province name', () => {
+    expect(detectRegion({ postalCode: '07001', province: 'Illes Balears' })).toBe('baleares');
+    expect(detectRegion({ postalCode: '35001' })).toBe('canarias');
+    expect(detectRegion({ postalCode: '38001' })).toBe('canarias');
+    expect(detectRegion({ postalCode: '51001' })).toBe('ceuta');
+    expect(detectRegion({ postalCode: '52001' })).toBe('melilla');
+    expect(detectRegion({ postalCode: '43851', province: 'Tarragona' })).toBe('peninsula');
+    expect(detectRegion({ province: 'SANTA CRUZ DE TENERIFE' })).toBe('canarias');
+    expect(detectRegion({ province: 'Balears, Illes' })).toBe('baleares');
+    expect(detectRegion({})).toBe('peninsula');
+  });
+});
+
+describe('reading intervals', () => {
+  const hourLabels = count => Array.from({ length: count }, (_, i) => `${String(i + 1).padStart(2, '0')}:00`);
+  const buildDay = (date, labels) => labels.map(time => ({ date, time, consumptionKWh: 1, surplusEnergyKWh: 0 }));
+
+  test('hour-ending labels cover the previous clock hour', () => {
+    const first = resolveReadingInterval("2024/03/01", "01:00");
+    expect(first.start.toISOString()).toBe('2024-02-29T23:00:00.000Z');
+    expect(first.end.toISOString()).toBe('2024-03-01T00:00:00.000Z');
+    expect(first.localHour).toBe(0);
+
+    const last = resolveReadingInterval("2024/07/01", "24:00");
+    expect(last.start.toISOString()).toBe('2024-07-01T21:00:00.000Z');
+    expect(last.end.toISOString()).toBe('2024-07-01T22:00:00.000Z');
+    expect(last.localDate).toBe('2024/07/01');
+    expect(last.localHour).toBe(23);
+  });
+
+  test('Canary Islands readings resolve in Atlantic/Canary time', () => {
+    const interval = resolveReadingInterval("2024/03/01", "11:00", { region: 'canarias' });
+    expect(interval.start.toISOString()).toBe('2024-03-01T10:00:00.000Z');
+    expect(interval.localHour).toBe(10);
+  });
+
+  test('spring DST day: the 02:00-03:00 hour does not exist', () => {
+    // 2025/03/30: clocks jump from 02:00 CET to 03:00 CEST
+    expect(resolveReadingInterval("2025/03/30", "02:00").start.toISOString()).toBe('2025-03-30T00:00:00.000Z');
+    expect(resolveReadingInterval("2025/03/30", "04:00").start.toISOString()).toBe('2025-03-30T01:00:00.000Z');
+    expect(resolveReadingInterval("2025/03/30", "24:00").start.toISOString()).toBe('2025-03-30T21:00:00.000Z');
+
+    const labels = hourLabels(24).filter(time => time !== '03:00');
+    const enriched = enrichData(buildDay("2025/03/30", labels));
+    const starts = enriched.map(entry => entry.intervalStart.getTime());
+    expect(enriched).toHaveLength(23);
+    expect(new Set(starts).size).toBe(23);
+    expect(enriched[enriched.length - 1].intervalEnd.toISOString()).toBe('2025-03-30T22:00:00.000Z');
+  });
+
+  test('spring DST day with sequential hour numbering', () => {
+    const options = getReadingResolutionOptions(buildDay("2024/03/31", hourLabels(23)));
+    expect(options.every(option => option.sequentialHours)).toBe(true);
+
+    const enriched = enrichData(buildDay("2024/03/31", hourLabels(23)));
+    expect(enriched[2].intervalStart.toISOString()).toBe('2024-03-31T01:00:00.000Z');
+    expect(enriched[22].intervalEnd.toISOString()).toBe('2024-03-31T22:00:00.000Z');
+    expect(new Set(enriched.map(entry => entry.intervalStart.getTime())).size).toBe(23);
+  });
+
+  test('autumn DST day: the repeated hour resolves to two different instants', () => {
+    // 2025/10/26: clocks go back from 03:00 CEST to 02:00 CET
+    const firstPass = resolveReadingInterval("2025/10/26", "03:00");
+    const secondPass = resolveReadingInterval("2025/10/26", "03:00", { occurrence: 1 });
+    expect(firstPass.start.toISOString()).toBe('2025-10-26T00:00:00.000Z');
+    expect(secondPass.start.toISOString()).toBe('2025-10-26T01:00:00.000Z');
+    expect(firstPass.localHour).toBe(2);
+    expect(secondPass.localHour).toBe(2);
+
+    const labels = [...hourLabels(3), '03:00', ...hourLabels(24).slice(3)];
+    const enriched = enrichData(buildDay("2025/10/26", labels));
+    expect(enriched).toHaveLength(25);
+    expect(new Set(enriched.map(entry => entry.intervalStart.getTime())).size).toBe(25);
+    expect(enriched[0].intervalStart.toISOString()).toBe('2025-10-25T22:00:00.000Z');
+    expect(enriched[24].intervalEnd.toISOString()).toBe('2025-10-26T23:00:00.000Z');
+  });
+
+  test('autumn DST day with sequential hour numbering up to 25:00', () => {
+    const enriched = enrichData(buildDay("2024/10/27", hourLabels(25)));
+    expect(new Set(enriched.map(entry => entry.intervalStart.getTime())).size).toBe(25);
+    expect(enriched[24].intervalStart.toISOString()).toBe('2024-10-27T22:00:00.000Z');
+    expect(enriched[24].intervalEnd.toISOString()).toBe('2024-10-27T23:00:00.000Z');
+  });
+
+  test('DST days are classified with the local start hour', () => {
+    // Both DST transitions fall on Sundays, so every reading is off-peak
+    const spring = enrichData(buildDay("2025/03/30", hourLabels(24).filter(time => time !== '03:00')));
+    const autumn = enrichData(buildDay("2025/10/26", [...hourLabels(3), '03:00', ...hourLabels(24).slice(3)]));
+    expect(spring.every(entry => entry.period === 'P3')).toBe(true);
+    expect(autumn.every(entry => entry.period === 'P3')).toBe(true);
+    expect(getPeriod("2025/10/27", "24:00")).toBe('P2');
+  });
+});
+
+describe('regional holidays', () => {
+  test('are ignored unless a community is given', () => {
+    expect(getPeriod("2025/09/11", "12:00")).toBe('P1');
+    expect(getPeriod("2025/09/11", "12:00", { regionalHolidays: 'cataluna' })).toBe('P3');
+    expect(getPeriod("2025/09/11", "12:00", { regionalHolidays: 'madrid' })).toBe('P1');
+  });
+
+  test('include Easter-based community holidays', () => {
+    // 2025: Holy Thursday on 04/17, Easter Monday on 04/21
+    expect(getRegionalHolidays('madrid', 2025).has('04/17')).toBe(true);
+    expect(getRegionalHolidays('cataluna', 2025).has('04/21')).toBe(true);
+    expect(getRegionalHolidays('cataluna', 2025).has('04/17')).toBe(false);
+    expect(getPeriod("2025/04/21", "12:00", { regionalHolidays: 'valencia', tariff: '3.0TD' })).toBe('P6');
+  });
+
+  test('detectCommunity uses the postal code, then the province name', () => {
+    expect(detectCommunity({ postalCode: '43851', province: 'Tarragona' })).toBe('cataluna');
+    expect(detectCommunity({ postalCode: '28001' })).toBe('madrid');
+    expect(detectCommunity({ province: 'A Coruña' })).toBe('galicia');
+    expect(detectCommunity({ province: 'BIZKAIA' })).toBe('paisVasco');
+    expect(detectCommunity({ province: 'Castellón' })).toBe('valencia');
+    expect(detectCommunity({ province: 'León' })).toBe('castillaYLeon');
+    expect(detectCommunity({})).toBeNull();
+  });
+});
+
+describe('quarter-hourly readings', () => {
+  const quarterOptions = { intervalMinutes: 15 };
+  const quarterLabels = Array.from({ length: 96 }, (_, i) => {
+    const minutes = (i + 1) * 15;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  });
+
+  test('each label covers the previous 15 minutes', () => {
+    const interval = resolveReadingInterval("2024/03/01", "10:15", quarterOptions);
+    expect(interval.start.toISOString()).toBe('2024-03-01T09:00:00.000Z');
+    expect(interval.end.toISOString()).toBe('2024-03-01T09:15:00.000Z');
+    expect(interval.localMinute).toBe(0);
+  });
+
+  test('sub-hour readings are classified by the quarter they cover', () => {
+    // 10:00 ends the last Llana quarter, 10:15 is the first Punta quarter
+    expect(getPeriod("2024/03/01", "10:00", quarterOptions)).toBe('P2');
+    expect(getPeriod("2024/03/01", "10:15", quarterOptions)).toBe('P1');
+    expect(getPeriod("2024/03/01", "22:00", quarterOptions)).toBe('P1');
+    expect(getPeriod("2024/03/01", "22:15", quarterOptions)).toBe('P2');
+    expect(getPeriod("2024/03/01", "24:00", quarterOptions)).toBe('P2');
+  });
+
+  test('monthly summary adds up quarter-hourly energy per period', () => {
+    const day = quarterLabels.map(time => ({ date: "2024/03/01", time, consumptionKWh: 0.25, surplusEnergyKWh: 0 }));
+    const periodOptions = getPeriodOptions(null, null, { measurementType: 1 });
+    const processed = processConsumptionData(day, periodOptions);
+
+    expect(periodOptions.intervalMinutes).toBe(15);
+    expect(processed.summaries.byMonth.data['2024/03']).toMatchObject({ P1: 8, P2: 8, P3: 8 });
+  });
+
+  test('autumn DST day has 100 distinct quarters', () => {
+    const labels = [...quarterLabels.slice(0, 12), ...quarterLabels.slice(8, 12), ...quarterLabels.slice(12)];
+    const enriched = enrichData(labels.map(time => ({ date: "2025/10/26", time, consumptionKWh: 0.1 })), quarterOptions);
+    expect(enriched).toHaveLength(100);
+    expect(new Set(enriched.map(entry => entry.intervalStart.getTime())).size).toBe(100);
+  });
+});
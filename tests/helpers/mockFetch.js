@@ -0,0 +1,17 @@
+// Shared fetch mocks for the API tests
+
+/**
+ * Build a fake fetch response
+ * @param {number} status - HTTP status
+ * @param {*} body - Response body; strings are returned as they are by text()
+ * @param {Object} headers - Response headers
+ * @returns {Object} - Object with the Response fields the API layer reads
+ */
+export const mockResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? 'OK' : 'Error',
+  headers: new Headers(headers),
+  json: async () => body,
+  text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+});
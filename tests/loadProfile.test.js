@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import { buildLoadProfile, enrichData } from '../script.js';
+
+const periodOptions = { tariff: '2.0TD', region: 'peninsula' };
+
+const day = (date, kWhAt) => Array.from({ length: 24 }, (_, hour) => ({
+  date,
+  time: `${String(hour + 1).padStart(2, '0')}:00`,
+  consumptionKWh: kWhAt(hour)
+}));
+
+describe('buildLoadProfile', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Tuesday 2024/03/12, Wednesday 2024/03/13, Saturday 2024/03/16 and Wednesday 2024/07/10
+  const readings = () => enrichData([
+    ...day('2024/03/12', hour => (hour === 20 ? 2 : 0.1)),
+    ...day('2024/03/13', hour => (hour === 20 ? 1 : 0.1)),
+    ...day('2024/03/16', hour => (hour === 20 ? 3 : 0.2)),
+    ...day('2024/07/10', hour => (hour === 14 ? 4 : 0.1))
+  ], periodOptions);
+
+  test('averages working days and weekends apart', () => {
+    const profile = buildLoadProfile(readings(), periodOptions, 'spring');
+
+    expect(profile.workday.days).toBe(2);
+    expect(profile.offPeak.days).toBe(1);
+    expect(profile.workday.hours[20]).toBeCloseTo(1.5);
+    expect(profile.workday.hours[3]).toBeCloseTo(0.1);
+    expect(profile.offPeak.hours[20]).toBeCloseTo(3);
+    expect(profile.offPeak.byPeriod).toEqual({ P3: expect.any(Number) });
+    expect(profile.workdayPeriods.slice(0, 8)).toEqual(Array(8).fill('P3'));
+    expect(profile.workdayPeriods[20]).toBe('P1');
+    expect(profile.workdayPeriods[16]).toBe('P2');
+  });
+
+  test('adds up each period per average working day', () => {
+    const { workday } = buildLoadProfile(readings(), periodOptions, 'spring');
+
+    // P1: 10-14h and 18-22h; P2: 8-10h, 14-18h and 22-24h; P3: 0-8h
+    expect(workday.byPeriod.P1).toBeCloseTo(0.7 + 1.5);
+    expect(workday.byPeriod.P2).toBeCloseTo(0.8);
+    expect(workday.byPeriod.P3).toBeCloseTo(0.8);
+  });
+
+  test('keeps the whole range without a season', () => {
+    const profile = buildLoadProfile(readings(), periodOptions);
+
+    expect(profile.workday.days).toBe(3);
+    expect(profile.workday.hours[14]).toBeCloseTo((0.1 + 0.1 + 4) / 3);
+  });
+});
@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals';
+import {
+  simulateLoadShift,
+  describeLoadShift,
+  processConsumptionData,
+  buildJsonExportData,
+  copyWebComparatorJsonToClipboard
+} from '../script.js';
+
+const periodOptions = { tariff: '2.0TD', region: 'peninsula' };
+const dateRange = { startMonth: '2024/03', endMonth: '2024/04' };
+
+describe('load shifting simulator', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Tuesday 2024/03/12: 11:00 is Punta, 09:00 is Llana and 03:00 is Valle
+  const processed = () => processConsumptionData([
+    { date: '2024/03/12', time: '11:00', consumptionKWh: 10 },
+    { date: '2024/03/12', time: '09:00', consumptionKWh: 4 },
+    { date: '2024/03/12', time: '03:00', consumptionKWh: 1, surplusEnergyKWh: 0.5 }
+  ], periodOptions, dateRange);
+
+  test('moves a share of Punta and Llana to Valle', () => {
+    const real = processed();
+    const simulated = simulateLoadShift(real, { P1: 0.2, P2: 0.5 });
+
+    expect(simulated.summaries.byMonth.data['2024/03']).toMatchObject({ P1: 8, P2: 2, P3: 5, surplusEnergyKWh: 0.5 });
+    expect(simulated.summaries.byPeriod).toEqual({ P1: 8, P2: 2, P3: 5 });
+    expect(simulated.summaries.simulation).toEqual({ shares: { P1: 0.2, P2: 0.5 }, movedKWh: 4 });
+    expect(simulated.enrichedData).toBe(real.enrichedData);
+    // The real figures are left untouched
+    expect(real.summaries.byMonth.data['2024/03'].P1).toBe(10);
+  });
+
+  test('returns the real data when nothing is moved', () => {
+    const real = processed();
+
+    expect(simulateLoadShift(real, { P1: 0, P2: 0 })).toBe(real);
+  });
+
+  test('exports the simulated figures', () => {
+    const simulated = simulateLoadShift(processed(), { P1: 0.5 });
+    const [march] = buildJsonExportData(simulated, { p1: 3.45, p2: 3.45 });
+
+    expect(march).toMatchObject({ name: 'Mar-24', consumoP1: 5, consumoP2: 4, consumoP3: 6, excedentes: 0.5 });
+  });
+
+  test('describes the shift', () => {
+    const periods = ['P1', 'P2', 'P3'];
+
+    expect(describeLoadShift({ P1: 0.2 }, periods)).toBe('se mueve el 20 % de Punta a Valle');
+    expect(describeLoadShift({ P1: 0.2, P2: 0.1 }, periods)).toBe('se mueve el 20 % de Punta y el 10 % de Llana a Valle');
+    expect(describeLoadShift({ P1: 0.3 }, ['P1', 'P2', 'P3', 'P4', 'P5', 'P6'])).toBe('se mueve el 30 % de P1 a P6');
+  });
+
+  test('warns that copied figures are simulated', async () => {
+    Object.defineProperty(globalThis, 'navigator', {
+      value: { clipboard: { writeText: jest.fn().mockResolvedValue(undefined) } },
+      configurable: true
+    });
+    globalThis.alert = jest.fn();
+
+    copyWebComparatorJsonToClipboard([{ name: 'Mar-24' }], { simulated: true });
+    await Promise.resolve();
+
+    expect(globalThis.alert).toHaveBeenCalledWith(expect.stringContaining('SIMULADOS'));
+  });
+});
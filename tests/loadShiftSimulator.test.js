@@ -0,0 +1,63 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { renderLoadShiftSimulator, renderDateRangeOptions, processConsumptionData } from '../script.js';
+
+const dateRange = { startMonth: '2024/03', endMonth: '2024/04' };
+
+describe('load shifting simulator controls', () => {
+  let processedData;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    document.body.innerHTML = `
+      <div id="table-container">
+        <div class="supply-info-card"></div>
+        <div class="consumption-table-section"></div>
+      </div>
+    `;
+    // Tuesday 2024/03/12: 11:00 is Punta, 03:00 is Valle
+    processedData = processConsumptionData([
+      { date: '2024/03/12', time: '11:00', consumptionKWh: 10 },
+      { date: '2024/03/12', time: '03:00', consumptionKWh: 1 }
+    ], { tariff: '2.0TD', region: 'peninsula' }, dateRange);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the reset button only zeroes the sliders', () => {
+    const onSimulationChange = jest.fn();
+    const onDateRangeChange = jest.fn();
+    renderLoadShiftSimulator(processedData, onSimulationChange);
+    renderDateRangeOptions(dateRange, onDateRangeChange);
+
+    const slider = document.getElementById('shiftP1');
+    slider.value = '50';
+    slider.dispatchEvent(new Event('input'));
+    expect(onSimulationChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({ summaries: expect.objectContaining({ simulation: expect.any(Object) }) })
+    );
+
+    document.querySelector('.shift-reset-btn').click();
+
+    expect(onDateRangeChange).not.toHaveBeenCalled();
+    expect(slider.value).toBe('0');
+    expect(onSimulationChange).toHaveBeenLastCalledWith(processedData);
+  });
+
+  test('the date range presets still apply their months', () => {
+    const onDateRangeChange = jest.fn();
+    renderDateRangeOptions(dateRange, onDateRangeChange);
+
+    document.querySelector('[data-months="24"]').click();
+
+    expect(onDateRangeChange).toHaveBeenCalledWith(expect.objectContaining({
+      startMonth: expect.stringMatching(/^\d{4}\/\d{2}$/),
+      endMonth: expect.stringMatching(/^\d{4}\/\d{2}$/)
+    }));
+  });
+});
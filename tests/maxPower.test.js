@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import { getMaxPowerData } from '../apiCalls.js';
+import { summarizeMaxPower, recommendContractedPower, getMaxPowerPeriod } from '../script.js';
+import { mockResponse } from './helpers/mockFetch.js';
+
+const periodOptions = { tariff: '2.0TD', region: 'peninsula' };
+
+describe('getMaxPowerData', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete globalThis.fetch;
+  });
+
+  test('requests the month range and converts the peaks to kW', async () => {
+    globalThis.fetch = jest.fn(async () => mockResponse(200, {
+      maxPower: [
+        { cups: 'ES0001', date: '2024/03/12', time: '20:15', maxPower: 3250, period: '1' },
+        null
+      ],
+      distributorError: []
+    }));
+
+    const peaks = await getMaxPowerData('Bearer token', 'ES0001', '2', new Date(2024, 2, 1), new Date(2024, 4, 1), null, '12345678Z');
+
+    const params = new URL(globalThis.fetch.mock.calls[0][0]).searchParams;
+    expect(params.get('cups')).toBe('ES0001');
+    expect(params.get('startDate')).toBe('2024/03');
+    expect(params.get('endDate')).toBe('2024/05');
+    expect(params.get('authorizedNif')).toBe('12345678Z');
+    expect(peaks).toEqual([
+      { cups: 'ES0001', date: '2024/03/12', time: '20:15', maxPower: 3250, period: '1', maxPowerKW: 3.25 }
+    ]);
+  });
+});
+
+describe('getMaxPowerPeriod', () => {
+  test('uses the period sent by Datadis', () => {
+    expect(getMaxPowerPeriod({ period: '2' }, periodOptions, 2)).toBe('P2');
+    expect(getMaxPowerPeriod({ period: 'P5' }, periodOptions, 6)).toBe('P5');
+    expect(getMaxPowerPeriod({ period: 'VALLE' }, periodOptions, 2)).toBe('P2');
+  });
+
+  test('classifies peaks without a period by their time', () => {
+    // Tuesday: 20:15 is Punta (P1), 03:00 is Valle (P2)
+    expect(getMaxPowerPeriod({ date: '2024/03/12', time: '20:15' }, periodOptions, 2)).toBe('P1');
+    expect(getMaxPowerPeriod({ date: '2024/03/12', time: '03:00' }, periodOptions, 2)).toBe('P2');
+  });
+});
+
+describe('summarizeMaxPower', () => {
+  test('keeps the highest peak of each month and period', () => {
+    const byMonth = summarizeMaxPower([
+      { date: '2024/03/05', time: '10:00', period: '1', maxPowerKW: 2.9 },
+      { date: '2024/03/12', time: '20:15', period: '1', maxPowerKW: 3.25 },
+      { date: '2024/03/17', time: '14:00', period: '2', maxPowerKW: 1.8 },
+      { date: '2024/04/02', time: '21:00', period: '1', maxPowerKW: 2.4 }
+    ], periodOptions, 2);
+
+    expect(byMonth).toEqual({
+      '2024/03': [
+        { kW: 3.25, date: '2024/03/12', time: '20:15' },
+        { kW: 1.8, date: '2024/03/17', time: '14:00' }
+      ],
+      '2024/04': [{ kW: 2.4, date: '2024/04/02', time: '21:00' }, null]
+    });
+  });
+});
+
+describe('recommendContractedPower', () => {
+  test('picks the smallest standard power above the highest peak', () => {
+    const { peaks, powers } = recommendContractedPower({
+      '2024/03': [{ kW: 3.25 }, { kW: 1.8 }],
+      '2024/04': [{ kW: 3.5 }, null]
+    }, 2);
+
+    expect(peaks.map(peak => peak.kW)).toEqual([3.5, 1.8]);
+    expect(powers).toEqual([4.6, 2.3]);
+  });
+
+  test('rounds up peaks above the standard levels', () => {
+    expect(recommendContractedPower({ '2024/03': [{ kW: 17.42 }, null] }, 2).powers).toEqual([17.5, null]);
+  });
+
+  test('rounds six-period powers to 0.1 kW in ascending order', () => {
+    const monthPeaks = [18.23, 17.5, 16.1, 16, 15, 21.01].map(kW => ({ kW }));
+    expect(recommendContractedPower({ '2024/03': monthPeaks }, 6).powers)
+      .toEqual([18.3, 18.3, 18.3, 18.3, 18.3, 21.1]);
+  });
+
+  test('keeps a six-period power above 15 kW', () => {
+    const monthPeaks = [9, 7, 6, 6, 5, 12].map(kW => ({ kW }));
+    expect(recommendContractedPower({ '2024/03': monthPeaks }, 6).powers)
+      .toEqual([9, 9, 9, 9, 9, 15.1]);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { buildSupplyComparison, renderSupplyComparison, processConsumptionData } from '../script.js';
+
+const dateRange = { startMonth: '2024/03', endMonth: '2024/04' };
+
+const summarize = (readings, tariff = '2.0TD') =>
+  processConsumptionData(readings, { tariff, region: 'peninsula' }, dateRange).summaries;
+
+describe('buildSupplyComparison', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists every supply by month and adds them up', () => {
+    const home = { cups: 'ES0001', addressInfo: 'Calle Mayor 1' };
+    const flat = { cups: 'ES0002' };
+    const comparison = buildSupplyComparison([
+      {
+        supply: home,
+        summaries: summarize([
+          { date: '2024/03/01', time: '11:00', consumptionKWh: 2 },
+          { date: '2024/04/01', time: '01:00', consumptionKWh: 1, surplusEnergyKWh: 0.5 }
+        ])
+      },
+      {
+        supply: flat,
+        summaries: summarize([{ date: '2024/03/01', time: '01:00', consumptionKWh: 3 }])
+      }
+    ]);
+
+    expect(comparison.months).toEqual(['2024/03', '2024/04']);
+    expect(comparison.periods).toEqual(['P1', 'P2', 'P3']);
+    expect(comparison.supplies.map(supply => supply.label)).toEqual(['Calle Mayor 1', 'ES0002']);
+    expect(comparison.supplies[0].byMonth['2024/03']).toEqual({ P1: 2, P2: 0, P3: 0, surplusEnergyKWh: 0 });
+    expect(comparison.supplies[0].total).toEqual({ P1: 2, P2: 0, P3: 1, surplusEnergyKWh: 0.5 });
+    expect(comparison.supplies[1].byMonth['2024/04']).toEqual({ P1: 0, P2: 0, P3: 0, surplusEnergyKWh: 0 });
+    expect(comparison.aggregate.byMonth['2024/03']).toEqual({ P1: 2, P2: 0, P3: 3, surplusEnergyKWh: 0 });
+    expect(comparison.aggregate.total).toEqual({ P1: 2, P2: 0, P3: 4, surplusEnergyKWh: 0.5 });
+  });
+
+  test('does not add up supplies with different tariffs', () => {
+    const comparison = buildSupplyComparison([
+      { supply: { cups: 'ES0001' }, summaries: summarize([{ date: '2024/03/01', time: '01:00', consumptionKWh: 1 }]) },
+      { supply: { cups: 'ES0002' }, summaries: summarize([{ date: '2024/03/01', time: '01:00', consumptionKWh: 4 }], '3.0TD') }
+    ]);
+
+    expect(comparison.periods).toBeNull();
+    expect(comparison.aggregate).toBeNull();
+    expect(comparison.supplies.map(supply => supply.periods)).toEqual([
+      ['P1', 'P2', 'P3'],
+      ['P1', 'P2', 'P3', 'P4', 'P5', 'P6']
+    ]);
+    expect(comparison.supplies[0].total).toEqual({ P1: 0, P2: 0, P3: 1, surplusEnergyKWh: 0 });
+    expect(comparison.supplies[1].total).toMatchObject({ P3: 0, P6: 4 });
+  });
+
+  test('renders the sum of the supplies as a total row', () => {
+    document.body.innerHTML = '<div id="table-container"></div>';
+    const comparison = buildSupplyComparison([
+      { supply: { cups: 'ES0001' }, summaries: summarize([{ date: '2024/03/01', time: '01:00', consumptionKWh: 1 }]) },
+      { supply: { cups: 'ES0002' }, summaries: summarize([{ date: '2024/03/01', time: '01:00', consumptionKWh: 3 }]) }
+    ]);
+
+    renderSupplyComparison(comparison, { onBack: jest.fn() });
+
+    const headers = [...document.querySelectorAll('.comparison-table thead th')].map(cell => cell.textContent);
+    const totalRows = [...document.querySelectorAll('.comparison-table .total-row')];
+    expect(headers).toEqual(['Mes', 'Suministro', 'P1', 'P2', 'P3', 'Exc.']);
+    // One per month and one for the whole range
+    expect(totalRows).toHaveLength(3);
+    expect([...totalRows[0].cells].map(cell => cell.textContent.trim())).toEqual(['Total', '0,00', '0,00', '4,00', '0,00']);
+  });
+});